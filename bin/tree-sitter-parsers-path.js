@@ -11,6 +11,7 @@ function printUsage() {
   console.error('  --arch <arch>      Target architecture (x64, arm64)');
   console.error('  --variant <variant> Target variant (glibc, musl) - Linux only');
   console.error('  --metadata         Return metadata file path instead of binary');
+  console.error('  --shared           Return shared library path instead of binary');
   console.error('  --help             Show this help message');
   console.error('');
   console.error('Examples:');
@@ -31,6 +32,7 @@ function parseArgs() {
     arch: null,
     variant: null,
     metadata: false,
+    shared: false,
     help: false
   };
 
@@ -48,6 +50,9 @@ function parseArgs() {
       case '--metadata':
         options.metadata = true;
         break;
+      case '--shared':
+        options.shared = true;
+        break;
       case '--help':
       case '-h':
         options.help = true;
@@ -91,6 +96,11 @@ function getBinaryName(os, arch, variant) {
   return binaryName + '.a';
 }
 
+function getSharedLibraryName(binaryName, os) {
+  const extension = os === 'darwin' ? 'dylib' : os === 'win32' ? 'dll' : 'so';
+  return binaryName.replace(/\.a$/, `.${extension}`);
+}
+
 function getMetadataName(binaryName) {
   return binaryName.replace('libtree-sitter-parsers-all-', 'grammars-').replace('.a', '.json');
 }
@@ -106,8 +116,12 @@ function main() {
   try {
     // If no platform specified, use current platform
     if (!options.os && !options.arch) {
-      const { binaryPath, metadataPath } = require('../index.js');
-      console.log(options.metadata ? metadataPath : binaryPath);
+      const { binaryPath, metadataPath, sharedLibraryPath } = require('../index.js');
+      if (options.shared && !sharedLibraryPath) {
+        console.error('Error: No shared library found next to ' + binaryPath);
+        process.exit(1);
+      }
+      console.log(options.metadata ? metadataPath : options.shared ? sharedLibraryPath : binaryPath);
       process.exit(0);
     }
 
@@ -120,7 +134,9 @@ function main() {
 
     // Get the binary name for the specified platform
     const binaryName = getBinaryName(options.os, options.arch, options.variant);
-    const fileName = options.metadata ? getMetadataName(binaryName) : binaryName;
+    const fileName = options.metadata
+      ? getMetadataName(binaryName)
+      : options.shared ? getSharedLibraryName(binaryName, options.os) : binaryName;
 
     // Check in dist directory
     const distPath = path.join(__dirname, '..', 'dist', fileName);
@@ -7,8 +7,14 @@
 
 const fs = require('fs');
 const path = require('path');
-const { spawn, execSync } = require('child_process');
+const { spawn, spawnSync, execSync } = require('child_process');
 const os = require('os');
+const crypto = require('crypto');
+const { fileURLToPath, pathToFileURL } = require('url');
+
+// Bump when the way a per-grammar archive is produced changes in a way that
+// is not visible in its compiler flags (post-processing, archive layout, ...).
+const COMPILE_CACHE_VERSION = 5;
 
 // Platform configurations
 const PLATFORMS = {
@@ -94,9 +100,9 @@ function grammarCacheDir(cacheDir, grammar) {
 
 function checkZig() {
   try {
-    const result = execSync('zig version', { encoding: 'utf8' });
-    console.log(`Found zig: ${result.trim()}`);
-    return true;
+    const version = execSync('zig version', { encoding: 'utf8' }).trim();
+    console.log(`Found zig: ${version}`);
+    return version;
   } catch {
     throw new Error('Zig not found. Please install zig from https://ziglang.org/download/');
   }
@@ -157,16 +163,164 @@ async function runCommand(cmd, args, options = {}) {
   });
 }
 
-async function fetchGrammar(grammar, cacheDir) {
+const FETCH_TIMEOUT = 300000; // 5 minutes
+const CHECKOUT_TIMEOUT = 60000;
+
+// In offline mode git may only use local transports, whatever a remote URL says
+function git(args, cwd, timeout = CHECKOUT_TIMEOUT, sources = {}) {
+  const env = sources.offline ? { ...process.env, GIT_ALLOW_PROTOCOL: 'file' } : process.env;
+  return runCommand('git', args, { cwd, timeout, env });
+}
+
+async function hasCommit(repoDir, rev) {
+  try {
+    await git(['cat-file', '-e', `${rev}^{commit}`], repoDir);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function upstreamRepoUrl(repo) {
+  return repo.startsWith('http') ? repo : `https://github.com/${repo}`;
+}
+
+// Look up a repository in a local mirror directory of (bare) repositories laid out as
+// <mirror>/<host>/<owner>/<repo>[.git], or <mirror>/<owner>/<repo>[.git].
+// Returns a file:// URL, or null when the mirror does not have it.
+function mirrorRepoUrl(repoUrl, mirror) {
+  const mirrorDir = mirror.startsWith('file:') ? fileURLToPath(mirror) : path.resolve(mirror);
+  const url = new URL(repoUrl);
+  const repoPath = url.pathname.replace(/^\/+|\/+$/g, '').replace(/\.git$/, '');
+
+  const candidates = [
+    path.join(mirrorDir, url.hostname, `${repoPath}.git`),
+    path.join(mirrorDir, url.hostname, repoPath),
+    path.join(mirrorDir, `${repoPath}.git`),
+    path.join(mirrorDir, repoPath),
+  ];
+  const found = candidates.find(dir => fs.existsSync(dir));
+  return found ? pathToFileURL(found).href : null;
+}
+
+// Where to fetch a grammar from: the mirror when it has the repository, upstream otherwise.
+// In offline mode anything but the mirror is an error.
+function resolveRepoUrl(grammar, sources) {
+  const upstream = upstreamRepoUrl(grammar.repo);
+  if (sources.mirror) {
+    const mirrored = mirrorRepoUrl(upstream, sources.mirror);
+    if (mirrored) {
+      return mirrored;
+    }
+  }
+  if (sources.offline) {
+    throw new Error(sources.mirror
+      ? `${upstream} is not in mirror ${sources.mirror}`
+      : `${upstream} is not cached and no mirror is configured`);
+  }
+  return upstream;
+}
+
+// Find a checkout of another revision of the same grammar that can be moved into place
+function findReusableCheckout(cacheDir, grammar) {
+  const grammarRoot = path.join(cacheDir, grammar.name);
+  if (!fs.existsSync(grammarRoot)) {
+    return null;
+  }
+
+  for (const rev of fs.readdirSync(grammarRoot)) {
+    const candidate = path.join(grammarRoot, rev);
+    if (rev !== grammar.rev && fs.existsSync(path.join(candidate, '.git'))) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+// Fetch just the pinned commit. Servers that refuse to serve unadvertised commits
+// get a full fetch of their branches and tags instead.
+async function fetchRevision(repoDir, repoUrl, rev, sources) {
+  await git(['remote', 'set-url', 'origin', repoUrl], repoDir);
+
+  try {
+    await git(['fetch', '--depth', '1', 'origin', rev], repoDir, FETCH_TIMEOUT, sources);
+    return 'shallow';
+  } catch (error) {
+    if (error.message.includes('timeout')) {
+      throw error;
+    }
+  }
+
+  // Turn a shallow repository into a complete one, otherwise old commits stay unreachable
+  const unshallow = fs.existsSync(path.join(repoDir, '.git', 'shallow')) ? ['--unshallow'] : [];
+  await git(['fetch', ...unshallow, '--tags', 'origin', '+refs/heads/*:refs/remotes/origin/*'], repoDir, FETCH_TIMEOUT, sources);
+  return 'full';
+}
+
+// Tracked files with local modifications, e.g. after running `tree-sitter generate` by hand
+async function modifiedFiles(repoDir) {
+  const { stdout } = await git(['status', '--porcelain', '--untracked-files=no'], repoDir);
+  return stdout.split('\n').filter(Boolean).map(line => line.substring(3));
+}
+
+// Make sure an existing checkout is at the pinned revision, checking it out (and fetching
+// it if needed) when it is not, and report or restore locally modified files.
+async function verifyCheckout(grammar, grammarDir, sources) {
+  const name = grammar.name;
+  const shortRev = grammar.rev.substring(0, 8);
+
+  let head = null;
+  try {
+    head = (await git(['rev-parse', 'HEAD'], grammarDir)).stdout.trim();
+  } catch {
+    // No commit checked out at all
+  }
+
+  const notes = [];
+  if (head !== grammar.rev) {
+    const was = head ? head.substring(0, 8) : 'no commit';
+    try {
+      if (!(await hasCommit(grammarDir, grammar.rev))) {
+        await fetchRevision(grammarDir, resolveRepoUrl(grammar, sources), grammar.rev, sources);
+      }
+      await git(['checkout', '--quiet', '--force', '--detach', grammar.rev], grammarDir);
+      await git(['clean', '-ffdxq'], grammarDir);
+    } catch (error) {
+      return { success: false, message: `${name} - ERROR: checkout is at ${was} and ${shortRev} could not be checked out: ${error.stderr || error.message}` };
+    }
+    notes.push(`checkout was at ${was}, now at ${shortRev}`);
+  }
+
+  // A parser regenerated by the build (for `generate`, or for a pinned CLI or ABI) is not a local modification
+  const generatedDir = `${grammar.path ? `${grammar.path}/` : ''}src/`;
+  const regenerated = grammar.generate === true || fs.existsSync(path.join(grammarDir, generatedDir, GENERATE_STAMP));
+  let dirty = (await modifiedFiles(grammarDir))
+    .filter(file => !(regenerated && file.startsWith(generatedDir)));
+  if (dirty.length > 0 && sources.cleanDirty) {
+    await git(['reset', '--quiet', '--hard'], grammarDir);
+    notes.push(`restored ${dirty.length} locally modified file(s)`);
+    dirty = [];
+  } else if (dirty.length > 0) {
+    notes.push(`WARNING: ${dirty.length} locally modified file(s)`);
+  }
+
+  return {
+    success: true,
+    dirty,
+    message: `${name} - ${notes.length > 0 ? notes.join(', ') : 'already cached'}`,
+  };
+}
+
+async function fetchGrammar(grammar, cacheDir, sources = {}) {
   const name = grammar.name;
-  const repo = grammar.repo;
   const grammarDir = grammarCacheDir(cacheDir, grammar);
+  const shortRev = grammar.rev.substring(0, 8);
 
   // Check if directory exists and has content
   if (fs.existsSync(grammarDir)) {
     const gitDir = path.join(grammarDir, '.git');
     if (fs.existsSync(gitDir) && fs.readdirSync(grammarDir).length > 0) {
-      return { success: true, message: `${name} - already cached` };
+      return verifyCheckout(grammar, grammarDir, sources);
     } else {
       // Directory exists but is empty or corrupted, remove it
       fs.rmSync(grammarDir, { recursive: true, force: true });
@@ -176,320 +330,1736 @@ async function fetchGrammar(grammar, cacheDir) {
 
   fs.mkdirSync(path.dirname(grammarDir), { recursive: true });
 
-  let repoUrl = repo;
-  if (!repo.startsWith('http')) {
-    repoUrl = `https://github.com/${repo}`;
+  let repoUrl;
+  try {
+    repoUrl = resolveRepoUrl(grammar, sources);
+  } catch (error) {
+    return { success: false, message: `${name} - ERROR: ${error.message}` };
+  }
+
+  // When only the rev changed, move the previous checkout into place and fetch on top of it
+  const reusable = findReusableCheckout(cacheDir, grammar);
+  if (reusable) {
+    console.log(`  Starting fetch: ${name} ${shortRev} reusing ${path.basename(reusable).substring(0, 8)}`);
+    fs.renameSync(reusable, grammarDir);
+  } else {
+    console.log(`  Starting fetch: ${name} from ${repoUrl}`);
   }
 
-  console.log(`  Starting fetch: ${name} from ${repoUrl}`);
+  // On failure give a reused checkout back to its previous rev, and remove a fresh one
+  const discard = () => {
+    if (!fs.existsSync(grammarDir)) {
+      return;
+    }
+    if (reusable) {
+      fs.renameSync(grammarDir, reusable);
+    } else {
+      fs.rmSync(grammarDir, { recursive: true, force: true });
+    }
+  };
 
   try {
-    // If we need a specific revision, we can't use --depth 1
-    if (grammar.rev) {
-      // Clone full repo with timeout
-      await runCommand('git', ['clone', repoUrl, grammarDir], { timeout: 300000 }); // 5 minute timeout
+    if (!reusable) {
+      fs.mkdirSync(grammarDir, { recursive: true });
+      await git(['init', '--quiet'], grammarDir);
+      await git(['remote', 'add', 'origin', repoUrl], grammarDir);
+    }
 
-      // Checkout specific revision
-      try {
-        await runCommand('git', ['checkout', grammar.rev], { cwd: grammarDir, timeout: 60000 });
-      } catch (error) {
-        // Clean up the clone if checkout fails
-        fs.rmSync(grammarDir, { recursive: true, force: true });
-        return { success: false, message: `${name} - ERROR: Revision ${grammar.rev.substring(0, 8)} not found: ${error.stderr}` };
-      }
-    } else {
-      // Use shallow clone for branch or default
-      const args = ['clone', '--depth', '1'];
-      
-      if (grammar.branch) {
-        args.push('-b', grammar.branch);
-      }
-      
-      args.push(repoUrl, grammarDir);
-      await runCommand('git', args, { timeout: 300000 }); // 5 minute timeout
+    let mode = 'cached objects';
+    if (!(await hasCommit(grammarDir, grammar.rev))) {
+      mode = await fetchRevision(grammarDir, repoUrl, grammar.rev, sources);
     }
 
-    return { success: true, message: `${name} - cloned successfully` };
-  } catch (error) {
-    // Clean up partial clone
-    if (fs.existsSync(grammarDir)) {
-      fs.rmSync(grammarDir, { recursive: true, force: true });
+    // Checkout specific revision
+    try {
+      await git(['checkout', '--quiet', '--force', '--detach', grammar.rev], grammarDir);
+      await git(['clean', '-ffdxq'], grammarDir);
+    } catch (error) {
+      discard();
+      return { success: false, message: `${name} - ERROR: Revision ${shortRev} not found: ${error.stderr}` };
     }
+
+    const via = reusable ? `reused checkout, ${mode}` : mode;
+    return { success: true, message: `${name} - fetched ${shortRev} (${via})` };
+  } catch (error) {
+    discard();
     
     if (error.message.includes('timeout')) {
-      return { success: false, message: `${name} - ERROR: Clone timeout after 5 minutes` };
+      return { success: false, message: `${name} - ERROR: Fetch timeout after 5 minutes` };
     }
     
     return { success: false, message: `${name} - ERROR: ${error.stderr || error.message}` };
   }
 }
 
-// Prefix symbols in an object file to avoid conflicts when combining grammars
-async function prefixSymbolsInObject(objFile, grammarName) {
-  const prefix = `ts_${grammarName}_`;
-  const redefines = [];
-
-  // Common tree-sitter external scanner functions that need prefixing
-  const externalScannerFuncs = [
-    'tree_sitter_javascript_external_scanner_create',
-    'tree_sitter_javascript_external_scanner_destroy',
-    'tree_sitter_javascript_external_scanner_scan',
-    'tree_sitter_javascript_external_scanner_serialize',
-    'tree_sitter_javascript_external_scanner_deserialize',
-    'tree_sitter_typescript_external_scanner_create',
-    'tree_sitter_typescript_external_scanner_destroy',
-    'tree_sitter_typescript_external_scanner_scan',
-    'tree_sitter_typescript_external_scanner_serialize',
-    'tree_sitter_typescript_external_scanner_deserialize',
-  ];
+function objectFormat(platformConfig) {
+  if (platformConfig.zig_target.includes('macos')) return 'macho';
+  if (platformConfig.zig_target.includes('windows')) return 'coff';
+  return 'elf';
+}
 
-  // Internal symbols that commonly conflict between grammars
-  const internalSymbols = [
-    'sym_identifier_character_set_1',
-    'sym_identifier_character_set_2',
-    'sym_identifier_character_set_3',
-  ];
+// Mach-O prepends an underscore to every C symbol, ELF and 64-bit COFF do not
+function cSymbolPrefix(platformConfig) {
+  return objectFormat(platformConfig) === 'macho' ? '_' : '';
+}
 
-  for (const func of externalScannerFuncs) {
-    redefines.push(`--redefine-sym`, `${func}=${prefix}${func}`);
+const resolvedTools = new Map();
+
+function toolAvailable(cmd) {
+  return spawnSync(cmd, ['--version'], { stdio: 'ignore' }).status === 0;
+}
+
+// Resolve nm, objcopy or strip for a target's object format. The host binutils usually
+// only understand ELF, while the LLVM tools read and write Mach-O and COFF as well.
+// NM, OBJCOPY and STRIP override the lookup.
+function binaryTool(tool, platformConfig) {
+  const override = process.env[tool.toUpperCase()];
+  if (override) {
+    return override;
   }
 
-  for (const sym of internalSymbols) {
-    redefines.push(`--redefine-sym`, `${sym}=${prefix}${sym}`);
+  const format = objectFormat(platformConfig);
+  const key = `${tool}:${format}`;
+  if (!resolvedTools.has(key)) {
+    const candidates = [`llvm-${tool}`];
+    if (format === 'elf') {
+      candidates.push(tool);
+    }
+    const found = candidates.find(toolAvailable);
+    if (!found) {
+      throw new Error(`${candidates.join(' or ')} is required to process ${format} objects (or set ${tool.toUpperCase()})`);
+    }
+    resolvedTools.set(key, found);
   }
+  return resolvedTools.get(key);
+}
 
-  if (redefines.length > 0) {
-    try {
-      await runCommand('objcopy', redefines.concat(objFile));
-    } catch (error) {
-      // objcopy might fail if symbol doesn't exist or isn't global - that's ok
+// Public language entry points must keep their names, renaming them would break consumers
+function isLanguageFunction(symbol, platformConfig) {
+  const name = symbol.slice(cSymbolPrefix(platformConfig).length);
+  return /^tree_sitter_\w+$/.test(name) && !name.includes('_external_scanner_');
+}
+
+// Weak C++ symbols (inline functions, template instantiations) live in COMDAT groups
+// that the linker deduplicates by name, so they have to stay global.
+function isMergeableCxxSymbol(symbol, platformConfig) {
+  return symbol.weak && symbol.name.startsWith(`${cSymbolPrefix(platformConfig)}_Z`);
+}
+
+// List the defined global and weak symbols of every member of an archive
+async function listGlobalSymbols(archive, platformConfig) {
+  const nm = binaryTool('nm', platformConfig);
+  const { stdout } = await runCommand(nm, ['-g', '--defined-only', '-P', '-A', archive]);
+  const symbols = [];
+
+  for (const line of stdout.split('\n')) {
+    // <archive>[<member>]: <name> <type> [<value> <size>]
+    const match = line.match(/^.*?\[(.*?)\]: (\S+) (\S)/);
+    if (match) {
+      symbols.push({ member: match[1], name: match[2], weak: 'VvWw'.includes(match[3]) });
     }
   }
+
+  return symbols;
 }
 
-async function compileGrammar(grammar, cacheDir, platformDir, platformConfig) {
-  const name = grammar.name;
-  const grammarDir = grammarCacheDir(cacheDir, grammar);
+const EXTERNAL_SCANNER_FUNCTIONS = ['create', 'destroy', 'scan', 'serialize', 'deserialize'];
 
-  if (!fs.existsSync(grammarDir)) {
-    return { success: false, message: `${name} - missing directory (expected ${path.relative(process.cwd(), grammarDir)})` };
+// Name of the function returning the grammar's TSLanguage, as defined by parser.c. The header,
+// registry and export checks rely on it, so a symbol_name that doesn't match is only warned about.
+function languageFunctionName(grammar, parserC) {
+  const source = fs.readFileSync(parserC, 'utf8');
+  const match = source.match(/const\s+TSLanguage\s*\*\s*(tree_sitter_\w+)\s*\(\s*void\s*\)/);
+  const expected = grammar.symbol_name ? `tree_sitter_${grammar.symbol_name}` : null;
+
+  if (!match) {
+    return { name: expected || `tree_sitter_${grammar.name.replace(/-/g, '_')}` };
+  }
+  if (expected && match[1] !== expected) {
+    return { name: match[1], warning: `symbol_name '${grammar.symbol_name}' does not match ${match[1]} defined by parser.c, using ${match[1]}` };
   }
+  return { name: match[1] };
+}
 
-  // Determine source directory
-  let srcDir;
-  if (grammar.path) {
-    srcDir = path.join(grammarDir, grammar.path, 'src');
-  } else {
-    srcDir = path.join(grammarDir, 'src');
+// Parsers built for a tree-sitter ABI outside this range can't be loaded by the runtime
+// consumers link against. The default matches the workspace's tree-sitter crate.
+const DEFAULT_ABI_RANGE = { min: 13, max: 15 };
+
+function parseAbiRange(value) {
+  const match = /^(\d+)(?:-(\d+))?$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid ABI range '${value}' (expected MIN-MAX or a single version)`);
   }
+  const min = parseInt(match[1], 10);
+  const max = match[2] === undefined ? min : parseInt(match[2], 10);
+  if (min > max) {
+    throw new Error(`Invalid ABI range '${value}': ${min} is greater than ${max}`);
+  }
+  return { min, max };
+}
 
-  const parserC = path.join(srcDir, 'parser.c');
+// The ABI version a generated parser was built for, from `#define LANGUAGE_VERSION`
+function parserAbiVersion(parserC) {
+  const match = /^#define\s+LANGUAGE_VERSION\s+(\d+)\b/m.exec(fs.readFileSync(parserC, 'utf8'));
+  return match ? parseInt(match[1], 10) : null;
+}
 
-  // If src directory doesn't exist, check if we can generate it
-  if (!fs.existsSync(srcDir)) {
-    // For grammars with a path, check for grammar.js in the subdirectory
-    let grammarJs;
-    if (grammar.path) {
-      grammarJs = path.join(grammarDir, grammar.path, 'grammar.js');
-    } else {
-      grammarJs = path.join(grammarDir, 'grammar.js');
+// Functions of the registry compiled into every combined archive, so that FFI consumers can
+// enumerate and load languages without reading grammars-<platform>.json
+const REGISTRY_FUNCTIONS = ['tree_sitter_parsers_count', 'tree_sitter_parsers_name', 'tree_sitter_parsers_language'];
+
+// Symbols a grammar may export: its language function and the external scanner
+// entry points that the language table refers to.
+function exportAllowlist(languageFunction, platformConfig) {
+  const mangle = cSymbolPrefix(platformConfig);
+  return [
+    languageFunction,
+    ...EXTERNAL_SCANNER_FUNCTIONS.map(fn => `${languageFunction}_external_scanner_${fn}`),
+  ].map(symbol => mangle + symbol);
+}
+
+// objcopy can only localize ELF symbols, for Mach-O and COFF it rejects --keep-global-symbols.
+// Their symbols are renamed into the grammar's namespace instead, so they can't clash with
+// other code. Mach-O objects also keep them private extern (-fvisibility=hidden).
+async function localizeSymbols(lib, symbols, keep, platformConfig) {
+  if (objectFormat(platformConfig) !== 'elf') {
+    const rename = new Set(symbols.map(symbol => symbol.name).filter(name => !keep.has(name)));
+    await prefixSymbols(lib.file, lib.name, [...rename], platformConfig);
+    return;
+  }
+
+  const keepFile = `${lib.file}.keep-global-symbols`;
+  fs.writeFileSync(keepFile, [...keep].join('\n') + '\n');
+
+  try {
+    const objcopy = binaryTool('objcopy', platformConfig);
+    await runCommand(objcopy, ['--enable-deterministic-archives', `--keep-global-symbols=${keepFile}`, lib.file]);
+  } finally {
+    fs.unlinkSync(keepFile);
+  }
+}
+
+// Make every symbol of each grammar archive private, except for its allowlisted entry points.
+// Returns the number of symbols that were localized or renamed.
+async function enforceExportAllowlist(libFiles, platformConfig) {
+  let localized = 0;
+
+  for (const lib of libFiles) {
+    const symbols = await listGlobalSymbols(lib.file, platformConfig);
+    const keep = new Set(exportAllowlist(lib.languageFunction, platformConfig));
+    for (const symbol of symbols) {
+      if (isMergeableCxxSymbol(symbol, platformConfig)) {
+        keep.add(symbol.name);
+      }
+    }
+
+    const count = symbols.filter(symbol => !keep.has(symbol.name)).length;
+    if (count > 0) {
+      await localizeSymbols(lib, symbols, keep, platformConfig);
+      localized += count;
     }
+  }
+
+  return localized;
+}
+
+// Check that an archive exports the language function of every grammar and nothing
+// outside of the allowlist. Mach-O and COFF symbols in the grammars' namespaces are
+// expected, on ELF a global one means that localizing the grammar failed.
+async function verifyArchiveExports(archive, libFiles, platformConfig) {
+  const registry = REGISTRY_FUNCTIONS.map(symbol => cSymbolPrefix(platformConfig) + symbol);
+  const allowed = new Set([...libFiles.flatMap(lib => exportAllowlist(lib.languageFunction, platformConfig)), ...registry]);
+  const symbols = await listGlobalSymbols(archive, platformConfig);
+  const exported = new Set(symbols.map(symbol => symbol.name));
+
+  const namespaces = objectFormat(platformConfig) === 'elf'
+    ? []
+    : libFiles.map(lib => grammarSymbol(lib.name, '', platformConfig));
+  const unexpected = symbols
+    .filter(symbol => !allowed.has(symbol.name) && !isMergeableCxxSymbol(symbol, platformConfig))
+    .filter(symbol => !namespaces.some(namespace => symbol.name.startsWith(namespace)))
+    .map(({ member, name }) => ({ member, name }));
+  const missing = libFiles
+    .map(lib => cSymbolPrefix(platformConfig) + lib.languageFunction)
+    .concat(registry)
+    .filter(symbol => !exported.has(symbol));
+
+  return { unexpected, missing };
+}
+
+const SHARED_LIBRARY_EXTENSIONS = { elf: 'so', macho: 'dylib', coff: 'dll' };
+
+function sharedLibraryName(platformName, platformConfig) {
+  return `libtree-sitter-parsers-all-${platformName}.${SHARED_LIBRARY_EXTENSIONS[objectFormat(platformConfig)]}`;
+}
+
+// Link an archive into a shared library exporting only the given C symbols.
+// Each object format restricts exports differently: a version script for ELF, an exported
+// symbols list for Mach-O and a module definition file for COFF.
+async function linkSharedLibrary(archive, output, symbols, platformConfig, needsCxx, workDir) {
+  const format = objectFormat(platformConfig);
+  const exported = [...symbols].sort();
+  const args = ['-target', platformConfig.zig_target, '-shared', '-o', output];
+
+  if (format === 'macho') {
+    const exportsList = path.join(workDir, 'exports.txt');
+    fs.writeFileSync(exportsList, exported.map(symbol => `_${symbol}\n`).join(''));
+    args.push(`-Wl,-force_load,${archive}`, `-Wl,-exported_symbols_list,${exportsList}`, '-Wl,-dead_strip');
+  } else if (format === 'coff') {
+    const defFile = path.join(workDir, 'exports.def');
+    fs.writeFileSync(defFile, `EXPORTS\n${exported.map(symbol => `  ${symbol}\n`).join('')}`);
+    args.push('-Wl,--whole-archive', archive, '-Wl,--no-whole-archive', defFile);
+  } else {
+    const versionScript = path.join(workDir, 'exports.map');
+    fs.writeFileSync(versionScript, `{\n  global:\n${exported.map(symbol => `    ${symbol};\n`).join('')}  local: *;\n};\n`);
+    args.push('-Wl,--whole-archive', archive, '-Wl,--no-whole-archive', `-Wl,--version-script=${versionScript}`, '-Wl,--gc-sections');
+  }
+
+  await runCommand('zig', [needsCxx ? 'c++' : 'cc', ...args]);
+}
+
+// Dynamic symbols exported by a shared library, or null where nm can't list them (DLLs)
+async function listSharedLibraryExports(sharedLibrary, platformConfig) {
+  const format = objectFormat(platformConfig);
+  if (format === 'coff') {
+    return null;
+  }
+
+  const nm = binaryTool('nm', platformConfig);
+  const { stdout } = await runCommand(nm, [format === 'elf' ? '-D' : '-g', '--defined-only', '-P', sharedLibrary]);
+  const prefix = cSymbolPrefix(platformConfig);
+  return stdout.split('\n')
+    .filter(Boolean)
+    .map(line => line.split(' ')[0])
+    .map(name => (prefix && name.startsWith(prefix) ? name.substring(prefix.length) : name));
+}
+
+// Check that a shared library exports exactly the given C symbols.
+// Returns null when the exports can't be listed.
+async function verifySharedLibraryExports(sharedLibrary, symbols, platformConfig) {
+  const exported = await listSharedLibraryExports(sharedLibrary, platformConfig);
+  if (!exported) {
+    return null;
+  }
+
+  const expected = new Set(symbols);
+  return {
+    exported: exported.length,
+    unexpected: exported.filter(name => !expected.has(name)),
+    missing: [...expected].filter(name => !exported.includes(name)),
+  };
+}
 
-    if (fs.existsSync(grammarJs)) {
-      // Determine the working directory for generate command
-      const genCwd = grammar.path ? path.join(grammarDir, grammar.path) : grammarDir;
+function moduleFileName(grammarName, platformConfig) {
+  return `tree-sitter-${grammarName}.${SHARED_LIBRARY_EXTENSIONS[objectFormat(platformConfig)]}`;
+}
+
+// Link a loadable module per grammar into modulesDir, and write index.json mapping every
+// language to its module file and language function. Returns the per-grammar results.
+async function buildGrammarModules(libFiles, modulesDir, platformName, platformConfig, jobs, languageVersions) {
+  fs.mkdirSync(modulesDir, { recursive: true });
+  const workRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'tree-sitter-modules-'));
+
+  try {
+    const results = await runInParallel(libFiles, async (lib) => {
+      const file = moduleFileName(lib.name, platformConfig);
+      const output = path.join(modulesDir, file);
+      const workDir = fs.mkdtempSync(path.join(workRoot, `${lib.name}-`));
 
       try {
-        // Try with npx first
-        await runCommand('npx', ['tree-sitter', 'generate'], { cwd: genCwd });
-        // After generation, check if src directory was created
-        if (!fs.existsSync(srcDir)) {
-          return { success: false, message: `${name} - src directory not created after generate` };
-        }
-      } catch {
-        // Try without npx
-        try {
-          await runCommand('tree-sitter', ['generate'], { cwd: genCwd });
-          if (!fs.existsSync(srcDir)) {
-            return { success: false, message: `${name} - src directory not created after generate` };
-          }
-        } catch {
-          return { success: false, message: `${name} - no src directory and can't generate (install tree-sitter-cli)` };
+        await linkSharedLibrary(lib.file, output, [lib.languageFunction], platformConfig, lib.isCpp, workDir);
+        const verification = await verifySharedLibraryExports(output, [lib.languageFunction], platformConfig);
+        if (verification && (verification.unexpected.length > 0 || verification.missing.length > 0)) {
+          throw new Error(`${file} should only export ${lib.languageFunction}, exports: ${verification.unexpected.join(', ') || 'nothing'}`);
         }
+        return { success: true, name: lib.name, file, size: fs.statSync(output).size, message: `${lib.name} - linked ${file}` };
+      } catch (error) {
+        fs.rmSync(output, { force: true });
+        return { success: false, name: lib.name, file, error: error.stderr || error.message, message: `${lib.name} - ERROR: ${error.stderr || error.message}` };
       }
-    } else {
-      return { success: false, message: `${name} - no src directory` };
+    }, jobs, { stopOnFailure: false });
+
+    const languages = {};
+    for (const result of results.filter(r => r.success)) {
+      const lib = libFiles.find(l => l.name === result.name);
+      languages[result.name] = {
+        file: result.file,
+        symbol: lib.languageFunction,
+        language_version: languageVersions.get(result.name) ?? null,
+      };
     }
+    fs.writeFileSync(
+      path.join(modulesDir, 'index.json'),
+      JSON.stringify({ platform: platformName, languages }, null, 2) + '\n'
+    );
+
+    return results;
+  } finally {
+    fs.rmSync(workRoot, { recursive: true, force: true });
   }
+}
 
-  // If parser.c doesn't exist (even after potentially generating src dir), try to generate it
-  if (!fs.existsSync(parserC)) {
-    // For grammars with a path, check for grammar.js in the subdirectory
-    let grammarJs;
-    if (grammar.path) {
-      grammarJs = path.join(grammarDir, grammar.path, 'grammar.js');
-    } else {
-      grammarJs = path.join(grammarDir, 'grammar.js');
-    }
+// C++ runtime that archives with C++ scanners need, as linked by validation/build.rs
+function cxxRuntimeLibrary(platformConfig) {
+  return objectFormat(platformConfig) === 'macho' ? 'c++' : 'stdc++';
+}
 
-    if (fs.existsSync(grammarJs)) {
-      // Determine the working directory for generate command
-      const genCwd = grammar.path ? path.join(grammarDir, grammar.path) : grammarDir;
+function cHeader(platformName, libFiles, languageVersions) {
+  const declarations = [...libFiles]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(lib => {
+      const abi = languageVersions.get(lib.name);
+      return `/* ${lib.name}${abi ? ` (ABI ${abi})` : ''} */\nconst struct TSLanguage *${lib.languageFunction}(void);\n`;
+    });
 
-      try {
-        // Try with npx first
-        await runCommand('npx', ['tree-sitter', 'generate'], { cwd: genCwd });
-        if (!fs.existsSync(parserC)) {
-          return { success: false, message: `${name} - failed to generate parser.c` };
-        }
-      } catch {
-        // Try without npx
-        try {
-          await runCommand('tree-sitter', ['generate'], { cwd: genCwd });
-          if (!fs.existsSync(parserC)) {
-            return { success: false, message: `${name} - failed to generate parser.c` };
-          }
-        } catch {
-          return { success: false, message: `${name} - no parser.c and can't generate (install tree-sitter-cli)` };
-        }
+  return `/* Generated by build-grammars.js for ${platformName}. Do not edit. */
+#ifndef TREE_SITTER_PARSERS_H_
+#define TREE_SITTER_PARSERS_H_
+
+#include <stddef.h>
+
+#ifdef __cplusplus
+extern "C" {
+#endif
+
+/* Same type as TSLanguage in tree_sitter/api.h */
+struct TSLanguage;
+
+#define TREE_SITTER_PARSERS_COUNT ${libFiles.length}
+
+/* Number of languages in the archive */
+size_t tree_sitter_parsers_count(void);
+
+/* Name of the language at index, or NULL when index is out of range */
+const char *tree_sitter_parsers_name(size_t index);
+
+/* Language called name, or NULL when the archive doesn't include it */
+const struct TSLanguage *tree_sitter_parsers_language(const char *name);
+
+${declarations.join('\n')}
+#ifdef __cplusplus
+}
+#endif
+
+#endif /* TREE_SITTER_PARSERS_H_ */
+`;
+}
+
+function pkgConfigFile(platformName, platformConfig, libFiles, version) {
+  const cxx = libFiles.some(lib => lib.isCpp) ? ` -l${cxxRuntimeLibrary(platformConfig)}` : '';
+  return `prefix=\${pcfiledir}
+libdir=\${prefix}
+includedir=\${prefix}/include/${platformName}
+
+Name: tree-sitter-parsers
+Description: Precompiled tree-sitter grammars for ${platformName}
+Version: ${version}
+Cflags: -I\${includedir}
+Libs: \${libdir}/libtree-sitter-parsers-all-${platformName}.a${cxx}
+`;
+}
+
+function cmakeConfigFile(platformName, libFiles, version) {
+  const languages = libFiles.map(lib => lib.name).sort().join(';');
+  const linkLanguages = libFiles.some(lib => lib.isCpp) ? 'C;CXX' : 'C';
+  return `# Generated by build-grammars.js for ${platformName}. Do not edit.
+get_filename_component(_tree_sitter_parsers_prefix "\${CMAKE_CURRENT_LIST_DIR}/../.." ABSOLUTE)
+
+set(TreeSitterParsers_VERSION ${version})
+set(TreeSitterParsers_PLATFORM ${platformName})
+set(TreeSitterParsers_LANGUAGES "${languages}")
+
+if(NOT TARGET TreeSitterParsers::parsers)
+  add_library(TreeSitterParsers::parsers STATIC IMPORTED)
+  set_target_properties(TreeSitterParsers::parsers PROPERTIES
+    IMPORTED_LOCATION "\${_tree_sitter_parsers_prefix}/libtree-sitter-parsers-all-${platformName}.a"
+    IMPORTED_LINK_INTERFACE_LANGUAGES "${linkLanguages}"
+    INTERFACE_INCLUDE_DIRECTORIES "\${_tree_sitter_parsers_prefix}/include/${platformName}"
+  )
+endif()
+
+unset(_tree_sitter_parsers_prefix)
+`;
+}
+
+// Any version with the same major version is compatible, newer minor versions included
+function cmakeConfigVersionFile(version) {
+  return `set(PACKAGE_VERSION ${version})
+
+if(PACKAGE_FIND_VERSION_MAJOR STREQUAL "${version.split('.')[0]}" AND NOT PACKAGE_FIND_VERSION VERSION_GREATER PACKAGE_VERSION)
+  set(PACKAGE_VERSION_COMPATIBLE TRUE)
+  if(PACKAGE_FIND_VERSION VERSION_EQUAL PACKAGE_VERSION)
+    set(PACKAGE_VERSION_EXACT TRUE)
+  endif()
+else()
+  set(PACKAGE_VERSION_COMPATIBLE FALSE)
+endif()
+`;
+}
+
+// Files for C and C++ consumers of a platform's archive, relative to precompiledDir
+function consumerFilePaths(platformName) {
+  return {
+    header: path.join('include', platformName, 'tree_sitter_parsers.h'),
+    pkgConfig: `tree-sitter-parsers-${platformName}.pc`,
+    cmakeDir: path.join('cmake', platformName),
+  };
+}
+
+// Write a header declaring every language function, a pkg-config file and a CMake package
+// config next to the combined archive. Returns the written files, relative to precompiledDir.
+function writeConsumerFiles(precompiledDir, platformName, platformConfig, libFiles, languageVersions, version) {
+  const paths = consumerFilePaths(platformName);
+  const files = {
+    [paths.header]: cHeader(platformName, libFiles, languageVersions),
+    [paths.pkgConfig]: pkgConfigFile(platformName, platformConfig, libFiles, version),
+    [path.join(paths.cmakeDir, 'TreeSitterParsersConfig.cmake')]: cmakeConfigFile(platformName, libFiles, version),
+    [path.join(paths.cmakeDir, 'TreeSitterParsersConfigVersion.cmake')]: cmakeConfigVersionFile(version),
+  };
+
+  for (const [file, contents] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(precompiledDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(precompiledDir, file), contents);
+  }
+  return Object.keys(files).map(file => file.split(path.sep).join('/'));
+}
+
+// Find global symbols that are defined by more than one grammar archive.
+// Weak C++ symbols (template instantiations, inline functions) are merged by the
+// linker by design and are not reported.
+async function findSymbolCollisions(libFiles, platformConfig) {
+  const definitions = new Map();
+
+  for (const { name, file } of libFiles) {
+    for (const symbol of await listGlobalSymbols(file, platformConfig)) {
+      if (!definitions.has(symbol.name)) {
+        definitions.set(symbol.name, new Map());
       }
-    } else {
-      return { success: false, message: `${name} - no parser.c` };
+      const owners = definitions.get(symbol.name);
+      owners.set(name, (owners.get(name) ?? true) && isMergeableCxxSymbol(symbol, platformConfig));
     }
   }
 
-  // Check for scanner files
-  const scannerC = path.join(srcDir, 'scanner.c');
-  const scannerCc = path.join(srcDir, 'scanner.cc');
-  const scannerCpp = path.join(srcDir, 'scanner.cpp');
+  const collisions = [];
+  for (const [symbol, owners] of definitions) {
+    if (owners.size < 2) continue;
+    if ([...owners.values()].every(Boolean)) continue;
+    collisions.push({ symbol, grammars: [...owners.keys()].sort() });
+  }
 
-  const sources = [parserC];
-  let isCpp = false;
+  return collisions.sort((a, b) => a.symbol.localeCompare(b.symbol));
+}
 
-  if (fs.existsSync(scannerCc)) {
-    sources.push(scannerCc);
-    isCpp = true;
-  } else if (fs.existsSync(scannerCpp)) {
-    sources.push(scannerCpp);
-    isCpp = true;
-  } else if (fs.existsSync(scannerC)) {
-    sources.push(scannerC);
+// A symbol in a grammar's namespace: ts_<grammar>_<symbol>
+function grammarSymbol(grammarName, symbol, platformConfig) {
+  return `${cSymbolPrefix(platformConfig)}ts_${grammarName}_${symbol}`;
+}
+
+// Rename symbols in an archive or object file to ts_<grammar>_<symbol>
+async function prefixSymbols(file, grammarName, symbols, platformConfig) {
+  if (symbols.length === 0) return;
+
+  const mangle = cSymbolPrefix(platformConfig);
+  const renames = symbols.map(sym => [sym, grammarSymbol(grammarName, sym.slice(mangle.length), platformConfig)]);
+  const mapFile = `${file}.redefine-syms`;
+  fs.writeFileSync(mapFile, renames.map(pair => pair.join(' ')).join('\n') + '\n');
+
+  try {
+    const objcopy = binaryTool('objcopy', platformConfig);
+    await runCommand(objcopy, ['--enable-deterministic-archives', `--redefine-syms=${mapFile}`, file]);
+  } finally {
+    fs.unlinkSync(mapFile);
   }
 
-  // Output file
-  const libName = `libtree-sitter-parsers-${name}.a`;
-  const outputFile = path.join(platformDir, libName);
+  // objcopy silently ignores renames it cannot apply, so check the result
+  const exported = new Set((await listGlobalSymbols(file, platformConfig)).map(symbol => symbol.name));
+  const failed = renames.filter(([from, to]) => exported.has(from) || !exported.has(to));
+  if (failed.length > 0) {
+    throw new Error(`Renaming symbols in ${path.basename(file)} did not take effect: ${failed.map(([from, to]) => `${from} -> ${to}`).join(', ')}`);
+  }
+}
+
+// Detect symbols exported by several grammars and either prefix them per grammar
+// or refuse to build the combined archive.
+async function resolveSymbolCollisions(libFiles, platformConfig, mode) {
+  const collisions = await findSymbolCollisions(libFiles, platformConfig);
+  if (collisions.length === 0) {
+    return { collisions, fatal: false };
+  }
+
+  console.log(`\n  Found ${collisions.length} symbol(s) exported by more than one grammar:`);
+  for (const { symbol, grammars } of collisions) {
+    console.log(`    ${symbol}: ${grammars.join(', ')}`);
+  }
+
+  const unresolvable = collisions.filter(c => isLanguageFunction(c.symbol, platformConfig));
+  if (mode === 'fail' || unresolvable.length > 0) {
+    for (const collision of collisions) {
+      collision.resolution = 'none';
+    }
+    if (unresolvable.length > 0) {
+      console.error(`  ERROR: language functions cannot be renamed: ${unresolvable.map(c => c.symbol).join(', ')}`);
+    }
+    return { collisions, fatal: true };
+  }
+
+  const byGrammar = new Map();
+  for (const { symbol, grammars } of collisions) {
+    for (const grammarName of grammars) {
+      if (!byGrammar.has(grammarName)) byGrammar.set(grammarName, []);
+      byGrammar.get(grammarName).push(symbol);
+    }
+  }
+
+  for (const { name, file } of libFiles) {
+    if (byGrammar.has(name)) {
+      await prefixSymbols(file, name, byGrammar.get(name), platformConfig);
+    }
+  }
+
+  for (const collision of collisions) {
+    collision.resolution = 'prefixed';
+  }
+  console.log(`  Prefixed colliding symbols in ${byGrammar.size} grammar(s)`);
+  return { collisions, fatal: false };
+}
+
+const BUILD_SETTING_LISTS = ['cflags', 'cxxflags', 'defines'];
+const STD_KEYS = ['c', 'cxx'];
+
+// Whether a `platforms` key of grammars.json applies to a platform: either the full
+// platform name or a leading part of it (`windows`, `linux-aarch64`, ...)
+function platformKeyMatches(key, platformName) {
+  return platformName === key || platformName.startsWith(`${key}-`);
+}
+
+function validateBuildSettings(settings, where) {
+  const errors = [];
+
+  for (const key of BUILD_SETTING_LISTS) {
+    const value = settings[key];
+    if (value === undefined) continue;
+    if (!Array.isArray(value) || !value.every(v => typeof v === 'string' && v.length > 0)) {
+      errors.push(`${where}.${key} must be an array of non-empty strings`);
+    }
+  }
+
+  if (Array.isArray(settings.defines)) {
+    for (const define of settings.defines) {
+      if (typeof define === 'string' && !/^[A-Za-z_]\w*(=.*)?$/.test(define)) {
+        errors.push(`${where}.defines has an invalid entry '${define}' (expected NAME or NAME=VALUE)`);
+      }
+    }
+  }
+
+  if (settings.std !== undefined) {
+    if (settings.std === null || typeof settings.std !== 'object' || Array.isArray(settings.std)) {
+      errors.push(`${where}.std must be an object like { "c": "gnu11", "cxx": "c++17" }`);
+    } else {
+      for (const [key, value] of Object.entries(settings.std)) {
+        if (!STD_KEYS.includes(key)) errors.push(`${where}.std has unknown key '${key}' (expected c or cxx)`);
+        else if (typeof value !== 'string' || !value) errors.push(`${where}.std.${key} must be a non-empty string`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Check the optional build settings of a grammars.json entry, returning a list of problems
+function validateGrammarConfig(grammar) {
+  const where = `grammars.${grammar.name}`;
+  const errors = validateBuildSettings(grammar, where);
+
+  if (grammar.generate !== undefined && typeof grammar.generate !== 'boolean') {
+    errors.push(`${where}.generate must be a boolean`);
+  }
+  if (grammar.abi_version !== undefined && !(Number.isInteger(grammar.abi_version) && grammar.abi_version > 0)) {
+    errors.push(`${where}.abi_version must be a positive integer`);
+  }
+  if (grammar.tree_sitter_cli !== undefined && !(typeof grammar.tree_sitter_cli === 'string' && /^\d+\.\d+\.\d+$/.test(grammar.tree_sitter_cli))) {
+    errors.push(`${where}.tree_sitter_cli must be an exact version like "0.25.10"`);
+  }
+
+  for (const key of Object.keys(DETECTION_KEYS)) {
+    if (grammar[key] !== undefined && !isValidDetectionValue(key, grammar[key])) {
+      errors.push(`${where}.${key} must be ${key === 'file_types' ? 'an array of non-empty strings' : 'a non-empty string'}`);
+    }
+  }
+
+  if (grammar.known_failures !== undefined) {
+    if (!Array.isArray(grammar.known_failures) || !grammar.known_failures.every(key => typeof key === 'string')) {
+      errors.push(`${where}.known_failures must be an array of platforms`);
+    } else {
+      const platformNames = [...Object.keys(PLATFORMS), WASM_PLATFORM];
+      for (const key of grammar.known_failures) {
+        if (!platformNames.some(platformName => platformKeyMatches(key, platformName))) {
+          errors.push(`${where}.known_failures has unknown platform '${key}'`);
+        }
+      }
+    }
+  }
+
+  if (grammar.platforms !== undefined) {
+    if (grammar.platforms === null || typeof grammar.platforms !== 'object' || Array.isArray(grammar.platforms)) {
+      errors.push(`${where}.platforms must be an object keyed by platform`);
+      return errors;
+    }
+    for (const [key, override] of Object.entries(grammar.platforms)) {
+      if (!Object.keys(PLATFORMS).some(platformName => platformKeyMatches(key, platformName))) {
+        errors.push(`${where}.platforms has unknown platform '${key}'`);
+      }
+      if (override === null || typeof override !== 'object' || Array.isArray(override)) {
+        errors.push(`${where}.platforms.${key} must be an object`);
+        continue;
+      }
+      for (const setting of Object.keys(override)) {
+        if (![...BUILD_SETTING_LISTS, 'std'].includes(setting)) {
+          errors.push(`${where}.platforms.${key} has unknown key '${setting}'`);
+        }
+      }
+      errors.push(...validateBuildSettings(override, `${where}.platforms.${key}`));
+    }
+  }
+
+  return errors;
+}
+
+// Build settings of a grammar for a platform: the grammar's own settings followed by the
+// matching per-platform overrides, from the least to the most specific key
+function grammarBuildSettings(grammar, platformName) {
+  const overrides = Object.entries(grammar.platforms || {})
+    .filter(([key]) => platformKeyMatches(key, platformName))
+    .sort(([a], [b]) => a.length - b.length)
+    .map(([, override]) => override);
+
+  const settings = { cflags: [], cxxflags: [], defines: [], std: {} };
+  for (const layer of [grammar, ...overrides]) {
+    for (const key of BUILD_SETTING_LISTS) {
+      settings[key].push(...(layer[key] || []));
+    }
+    Object.assign(settings.std, layer.std);
+  }
+  return settings;
+}
+
+// Build profiles. release and size builds can be published; debug and sanitize builds are
+// for tracking down problems in scanners and only target the host platform.
+const PROFILES = {
+  release: {
+    compiler: 'zig',
+    flags: ['-O3', '-funroll-loops', '-fomit-frame-pointer', '-ffast-math', '-finline-functions'],
+    strip: true,
+  },
+  // Smallest archive: no unrolling or aggressive inlining. With --lto, the sources of a
+  // grammar are optimized together.
+  size: {
+    compiler: 'zig',
+    flags: ['-Os', '-fomit-frame-pointer'],
+    strip: true,
+    allowLto: true,
+  },
+  debug: {
+    compiler: 'zig',
+    flags: ['-O0', '-g', '-fno-omit-frame-pointer'],
+    strip: false,
+    hostOnly: true,
+  },
+  // zig does not ship the AddressSanitizer runtime, so sanitized builds use the host's clang
+  sanitize: {
+    compiler: 'host',
+    flags: ['-O1', '-g', '-fno-omit-frame-pointer', '-fsanitize=address,undefined', '-fno-sanitize-recover=all'],
+    strip: false,
+    hostOnly: true,
+  },
+};
+
+// LTO is only used within a grammar: its objects are merged into one native relocatable object
+// with `ld.lld -r`, so the archive never contains bitcode. That needs lld's ELF linker.
+function usesLto(profile, platformConfig) {
+  return profile.lto === true && objectFormat(platformConfig) === 'elf';
+}
+
+// Command that compiles C or C++ sources for a profile. CC and CXX override the host compiler.
+function compilerCommand(sourceIsCpp, profile) {
+  if (profile.compiler === 'host') {
+    return [sourceIsCpp ? (process.env.CXX || 'clang++') : (process.env.CC || 'clang')];
+  }
+  return ['zig', sourceIsCpp ? 'c++' : 'cc'];
+}
+
+function checkHostCompiler() {
+  const cc = process.env.CC || 'clang';
+  try {
+    const version = execSync(`${cc} --version`, { encoding: 'utf8' }).split('\n')[0].trim();
+    console.log(`Found ${cc}: ${version}`);
+    return version;
+  } catch {
+    throw new Error(`${cc} not found. The sanitize profile compiles with the host clang (set CC and CXX to use another compiler)`);
+  }
+}
+
+// Compiler flags for a single source file, excluding include paths and file names
+// so that they can be hashed independently of where the checkout lives.
+// Symbols are hidden by default. The language function of parsers generated before TS_PUBLIC
+// is only declared extern though, so parser.c keeps default visibility for it to stay exportable
+// from shared libraries and modules. Its other symbols are all static.
+function compilerFlags(grammar, sourceIsCpp, platformConfig, profile, { hidden = true } = {}) {
+  const settings = grammarBuildSettings(grammar, platformConfig.name);
+  const flags = [
+    // The host compiler only builds for the host
+    ...(profile.compiler === 'zig' ? ['-target', platformConfig.zig_target] : []),
+    ...profile.flags,
+    usesLto(profile, platformConfig) ? '-flto' : '-fno-lto',
+    '-c',
+    '-fPIC',
+    '-fno-exceptions',
+    '-ffunction-sections',
+    '-fdata-sections',
+    ...(hidden ? ['-fvisibility=hidden'] : []),
+  ];
+
+  if (sourceIsCpp) {
+    flags.push(`-std=${settings.std.cxx || 'c++14'}`);
+  } else {
+    // For C files, default to gnu11 to support static_assert and GNU extensions
+    flags.push(`-std=${settings.std.c || 'gnu11'}`);
+  }
+
+  flags.push(...settings.defines.map(define => `-D${define}`));
+
+  // Grammar-specific flags come last so that they can override the defaults
+  flags.push(...(sourceIsCpp ? settings.cxxflags : settings.cflags));
+
+  return flags;
+}
+
+// Feed every file below dir into hash, in a stable order
+function hashDirectory(hash, dir, base = dir) {
+  const entries = fs.readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      hashDirectory(hash, fullPath, base);
+    } else if (entry.isFile()) {
+      hash.update(path.relative(base, fullPath).split(path.sep).join('/'));
+      hash.update('\0');
+      hash.update(fs.readFileSync(fullPath));
+      hash.update('\0');
+    }
+  }
+}
+
+// Content-addressed key for a grammar's compiled archive. Anything that can change
+// the produced libtree-sitter-parsers-<name>.a must be part of the key.
+function compileCacheKey(grammar, srcDir, platformConfig, compileFlags, compilerVersion) {
+  const hash = crypto.createHash('sha256');
+  hash.update(JSON.stringify({
+    version: COMPILE_CACHE_VERSION,
+    name: grammar.name,
+    rev: grammar.rev,
+    path: grammar.path || null,
+    zig_target: platformConfig.zig_target,
+    compiler: compilerVersion,
+    flags: compileFlags,
+  }));
+  hash.update('\0');
+  hashDirectory(hash, srcDir);
+  return hash.digest('hex');
+}
+
+function compileCacheEntry(compileCache, name, key) {
+  const dir = path.join(compileCache.dir, name);
+  return {
+    archive: path.join(dir, `${key}.a`),
+    meta: path.join(dir, `${key}.json`),
+  };
+}
+
+// Files read by a compile, from the dependency file written with -MD
+function parseDependencyFile(depFile, cwd) {
+  const text = fs.readFileSync(depFile, 'utf8').replace(/\\\r?\n/g, ' ');
+  const dependencies = text.slice(text.indexOf(': ') + 2).match(/(?:\\ |\S)+/g) || [];
+  return dependencies.map(dep => path.resolve(cwd, dep.replace(/\\ /g, ' ').replace(/\$\$/g, '$')));
+}
+
+// Hashes of the files in grammarDir outside srcDir that a compile read, such as shared
+// headers of multi-grammar repositories. The cache key only covers srcDir.
+function compileInputs(dependencies, grammarDir, srcDir) {
+  const inputs = {};
+  for (const dep of [...new Set(dependencies)].sort()) {
+    const relative = path.relative(grammarDir, dep);
+    const inSrcDir = !path.relative(srcDir, dep).startsWith('..');
+    if (!relative.startsWith('..') && !path.isAbsolute(relative) && !inSrcDir && fs.existsSync(dep)) {
+      inputs[relative.split(path.sep).join('/')] = fileSha256(dep);
+    }
+  }
+  return inputs;
+}
+
+// Copy a cached archive to outputFile. Returns the cache metadata on a hit, null otherwise.
+// The files outside srcDir the cached compile read have to be unchanged as well.
+function restoreFromCompileCache(compileCache, name, key, outputFile, grammarDir) {
+  const entry = compileCacheEntry(compileCache, name, key);
+  if (!fs.existsSync(entry.archive) || !fs.existsSync(entry.meta)) {
+    return null;
+  }
+
+  try {
+    const meta = JSON.parse(fs.readFileSync(entry.meta, 'utf8'));
+    const changed = Object.entries(meta.inputs || {}).some(([file, sha256]) => {
+      const fullPath = path.join(grammarDir, file);
+      return !fs.existsSync(fullPath) || fileSha256(fullPath) !== sha256;
+    });
+    if (changed) {
+      return null;
+    }
+    fs.copyFileSync(entry.archive, outputFile);
+    // Pruning keeps the last used entry of each profile
+    const now = new Date();
+    fs.utimesSync(entry.meta, now, now);
+    return meta;
+  } catch {
+    // Unreadable entry, treat as a miss and let the next store overwrite it
+    return null;
+  }
+}
+
+function storeInCompileCache(compileCache, name, key, outputFile, meta) {
+  const entry = compileCacheEntry(compileCache, name, key);
+  fs.mkdirSync(path.dirname(entry.archive), { recursive: true });
+
+  // Write to temporary files first so an interrupted build never leaves a truncated entry
+  const tmpArchive = `${entry.archive}.${process.pid}.tmp`;
+  const tmpMeta = `${entry.meta}.${process.pid}.tmp`;
+  fs.copyFileSync(outputFile, tmpArchive);
+  fs.writeFileSync(tmpMeta, JSON.stringify(meta, null, 2));
+  fs.renameSync(tmpArchive, entry.archive);
+  fs.renameSync(tmpMeta, entry.meta);
+}
+
+// Per-grammar build record: collects timings, warnings and every command that was run.
+// It ends up in the build report and in the grammar's log file.
+function createGrammarBuild(grammar) {
+  return {
+    name: grammar.name,
+    rev: grammar.rev,
+    cached: false,
+    languageFunction: null,
+    languageVersion: null,
+    isCpp: false,
+    generated: null,
+    timings: { generate: 0, compile: 0, ar: 0 },
+    outputSize: null,
+    warnings: [],
+    error: null,
+    log: [],
+  };
+}
+
+// Run a command, recording it in the build log and accounting its duration to stage
+async function runLogged(build, stage, cmd, args, options = {}) {
+  const entry = { stage, command: [cmd, ...args].join(' '), exitCode: null, durationMs: 0, stdout: '', stderr: '' };
+  build.log.push(entry);
+  const started = Date.now();
+
+  try {
+    const result = await runCommand(cmd, args, options);
+    entry.exitCode = 0;
+    entry.stdout = result.stdout;
+    entry.stderr = result.stderr;
+    return result;
+  } catch (error) {
+    entry.exitCode = error.code ?? null;
+    entry.stdout = error.stdout || '';
+    entry.stderr = error.stderr || error.message;
+    error.command = entry.command;
+    throw error;
+  } finally {
+    entry.durationMs = Date.now() - started;
+    build.timings[stage] += entry.durationMs;
+  }
+}
+
+function compilerWarnings(stderr) {
+  return stderr.split('\n').filter(line => /\bwarning:/.test(line)).map(line => line.trim());
+}
+
+const TREE_SITTER_CLI_INSTALL_TIMEOUT = 600000; // 10 minutes
+
+// Install a pinned tree-sitter-cli into toolsDir/<version>, once. The npm package downloads
+// the matching CLI binary when it is installed.
+async function installTreeSitterCli(toolsDir, version, offline) {
+  const dir = path.join(toolsDir, version);
+  const bin = path.join(dir, 'node_modules', '.bin', process.platform === 'win32' ? 'tree-sitter.cmd' : 'tree-sitter');
+  if (fs.existsSync(bin)) {
+    return bin;
+  }
+  if (offline) {
+    throw new Error(`tree-sitter-cli ${version} is not installed in ${dir} and offline builds cannot install it`);
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  await runCommand('npm', [
+    'install', '--prefix', dir, '--no-save', '--no-package-lock', '--no-audit', '--no-fund',
+    `tree-sitter-cli@${version}`,
+  ], { timeout: TREE_SITTER_CLI_INSTALL_TIMEOUT });
+
+  if (!fs.existsSync(bin)) {
+    throw new Error(`tree-sitter-cli ${version} was installed but ${bin} is missing`);
+  }
+  return bin;
+}
+
+// Written next to a parser.c generated by the build, so that later platforms and builds
+// can tell whether it was generated from this checkout with the requested CLI and ABI
+const GENERATE_STAMP = '.breeze-generate.json';
+
+function fileSha256(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+function generateSettings(grammar) {
+  return {
+    tree_sitter_cli: grammar.tree_sitter_cli ?? null,
+    abi_version: grammar.abi_version ?? null,
+  };
+}
+
+// Whether parser.c has to be (re)generated before compiling. A parser.c from the repository is
+// used as-is unless the grammar sets `generate`, pins a CLI (the parser doesn't record which
+// one generated it) or an ABI it wasn't generated for. One generated by the build is
+// regenerated whenever the CLI or ABI it was generated with no longer match.
+function needsGeneration(grammar, srcDir) {
+  const parserC = path.join(srcDir, 'parser.c');
+  if (!fs.existsSync(parserC)) {
+    return true;
+  }
+
+  let stamp = null;
+  try {
+    stamp = JSON.parse(fs.readFileSync(path.join(srcDir, GENERATE_STAMP), 'utf8'));
+  } catch {
+    // Not generated by the build
+  }
+  if (!stamp) {
+    return grammar.generate === true
+      || grammar.tree_sitter_cli !== undefined
+      || (grammar.abi_version !== undefined && parserAbiVersion(parserC) !== grammar.abi_version);
+  }
+
+  const wanted = generateSettings(grammar);
+  return stamp.tree_sitter_cli !== wanted.tree_sitter_cli
+    || stamp.abi_version !== wanted.abi_version
+    || stamp.parser_sha256 !== fileSha256(parserC);
+}
+
+// Run the tree-sitter CLI pinned by the grammar (from cliPaths) in cwd. Without a pin the
+// locally installed CLI is preferred. npx must not download anything: that would be the
+// wrong package, and breaks offline builds.
+async function runTreeSitter(build, stage, grammar, args, cwd, cliPaths) {
+  if (grammar.tree_sitter_cli) {
+    const cli = cliPaths.get(grammar.tree_sitter_cli);
+    if (!cli) {
+      throw new Error(`tree-sitter-cli ${grammar.tree_sitter_cli} is not installed`);
+    }
+    return runLogged(build, stage, cli, args, { cwd });
+  }
+
+  try {
+    return await runLogged(build, stage, 'npx', ['--no-install', 'tree-sitter', ...args], { cwd });
+  } catch {
+    // Try without npx
+    return runLogged(build, stage, 'tree-sitter', args, { cwd });
+  }
+}
+
+// Run `tree-sitter generate` in genCwd with the grammar's pinned CLI and ABI
+async function generateParser(build, grammar, genCwd, cliPaths) {
+  const args = ['generate'];
+  if (grammar.abi_version !== undefined) {
+    args.push('--abi', String(grammar.abi_version));
+  }
+
+  await runTreeSitter(build, 'generate', grammar, args, genCwd, cliPaths);
+
+  const srcDir = path.join(genCwd, 'src');
+  const parserC = path.join(srcDir, 'parser.c');
+  if (fs.existsSync(parserC)) {
+    build.generated = generateSettings(grammar);
+    fs.writeFileSync(
+      path.join(srcDir, GENERATE_STAMP),
+      JSON.stringify({ ...build.generated, parser_sha256: fileSha256(parserC) }, null, 2) + '\n'
+    );
+  }
+}
+
+function failBuild(build, stage, message, error) {
+  build.error = {
+    stage,
+    message,
+    command: error?.command ?? null,
+    exitCode: error?.code ?? null,
+    stderr: error ? (error.stderr || error.stdout || error.message || 'Unknown error') : null,
+  };
+  return { ...build, success: false, message: `${build.name} - ${message}` };
+}
+
+// Make sure a grammar's checkout has an up-to-date src/parser.c, generating it if needed, and
+// check its ABI version. Returns the grammar's directories, or the failed build result.
+async function prepareParser(build, grammar, cacheDir, cliPaths, abi) {
+  const grammarDir = grammarCacheDir(cacheDir, grammar);
+  const failure = (stage, message, error) => ({ failure: failBuild(build, stage, message, error) });
+
+  if (!fs.existsSync(grammarDir)) {
+    return failure('fetch', `missing directory (expected ${path.relative(process.cwd(), grammarDir)})`);
+  }
+
+  // Determine source directory
+  const genCwd = grammar.path ? path.join(grammarDir, grammar.path) : grammarDir;
+  const srcDir = path.join(genCwd, 'src');
+  const parserC = path.join(srcDir, 'parser.c');
+
+  // Generate src/parser.c if it doesn't exist, or if the grammar asks for it
+  if (needsGeneration(grammar, srcDir)) {
+    const hasSrcDir = fs.existsSync(srcDir);
+    const hasParser = fs.existsSync(parserC);
+    if (!fs.existsSync(path.join(genCwd, 'grammar.js'))) {
+      return failure('generate', hasParser ? 'no grammar.js to regenerate parser.c from' : hasSrcDir ? 'no parser.c' : 'no src directory');
+    }
+
+    try {
+      await generateParser(build, grammar, genCwd, cliPaths);
+    } catch (error) {
+      const message = hasParser
+        ? `can't regenerate parser.c (${error.message})`
+        : `no ${hasSrcDir ? 'parser.c' : 'src directory'} and can't generate (install tree-sitter-cli)`;
+      return failure('generate', message, error);
+    }
+
+    if (!fs.existsSync(parserC)) {
+      return failure('generate', hasSrcDir ? 'failed to generate parser.c' : 'src directory not created after generate');
+    }
+  }
+
+  const languageFunction = languageFunctionName(grammar, parserC);
+  build.languageFunction = languageFunction.name;
+  if (languageFunction.warning) {
+    build.warnings.push(languageFunction.warning);
+  }
+
+  build.languageVersion = parserAbiVersion(parserC);
+  const abiRange = `${abi.range.min}-${abi.range.max}`;
+  if (build.languageVersion === null) {
+    build.warnings.push(`parser.c does not define LANGUAGE_VERSION, can't check it against ABI ${abiRange}`);
+  } else if (build.languageVersion < abi.range.min || build.languageVersion > abi.range.max) {
+    const message = `parser ABI ${build.languageVersion} is outside the supported range ${abiRange}`;
+    if (abi.policy === 'fail') {
+      return failure('abi', message);
+    }
+    build.warnings.push(message);
+  }
+
+  return { grammarDir, genCwd, srcDir, parserC };
+}
+
+async function compileGrammar(grammar, cacheDir, platformDir, platformConfig, { compileCache, cliPaths, abi, profile }) {
+  const name = grammar.name;
+  const build = createGrammarBuild(grammar);
+  const failure = (stage, message, error) => failBuild(build, stage, message, error);
+
+  const prepared = await prepareParser(build, grammar, cacheDir, cliPaths, abi);
+  if (prepared.failure) {
+    return prepared.failure;
+  }
+  const { grammarDir, srcDir, parserC } = prepared;
+
+  // Check for scanner files
+  const scannerC = path.join(srcDir, 'scanner.c');
+  const scannerCc = path.join(srcDir, 'scanner.cc');
+  const scannerCpp = path.join(srcDir, 'scanner.cpp');
+
+  const sources = [parserC];
+  let isCpp = false;
+
+  if (fs.existsSync(scannerCc)) {
+    sources.push(scannerCc);
+    isCpp = true;
+  } else if (fs.existsSync(scannerCpp)) {
+    sources.push(scannerCpp);
+    isCpp = true;
+  } else if (fs.existsSync(scannerC)) {
+    sources.push(scannerC);
+  }
+
+  // Output file
+  const libName = `libtree-sitter-parsers-${name}.a`;
+  const outputFile = path.join(platformDir, libName);
+
+  // Determine per-source compiler flags up front, they are part of the cache key
+  const compileUnits = sources.map((source) => {
+    // Determine if this specific file is C++
+    const sourceIsCpp = path.extname(source) === '.cc' || path.extname(source) === '.cpp';
+    const hidden = path.basename(source) !== 'parser.c';
+    return { source, sourceIsCpp, flags: compilerFlags(grammar, sourceIsCpp, platformConfig, profile, { hidden }) };
+  });
+
+  let cacheKey = null;
+  if (compileCache) {
+    cacheKey = compileCacheKey(grammar, srcDir, platformConfig, compileUnits.map(u => u.flags), compileCache.compilerVersion);
+    const cached = restoreFromCompileCache(compileCache, name, cacheKey, outputFile, grammarDir);
+    if (cached) {
+      build.isCpp = cached.isCpp;
+      if (cached.isCpp) {
+        fs.writeFileSync(path.join(platformDir, `${name}.cpp`), '');
+      }
+      build.cached = true;
+      build.outputSize = fs.statSync(outputFile).size;
+      return { ...build, success: true, message: `${name} - cached` };
+    }
+  }
+
+  // Compile object files - use grammar name as prefix to avoid conflicts
+  const objFiles = [];
+  const dependencies = [];
+
+  for (const { source, sourceIsCpp, flags } of compileUnits) {
+    // Build command for this specific file
+    const cmd = compilerCommand(sourceIsCpp, profile).concat(flags);
+    cmd.push(
+      '-I', srcDir,
+      '-I', grammarDir,
+      // Keep the checkout location out of debug info and __FILE__
+      `-ffile-prefix-map=${grammarDir}=${name}`
+    );
+
+    const objFile = path.join(platformDir, `${name}_${path.basename(source, path.extname(source))}.o`);
+    const depFile = `${objFile}.d`;
+    const compileCmd = cmd.concat(['-MD', '-MF', depFile, source, '-o', objFile]);
+
+    try {
+      // Run in the checkout so the compilation directory is mapped as well
+      const { stderr } = await runLogged(build, 'compile', compileCmd[0], compileCmd.slice(1), { cwd: grammarDir });
+      build.warnings.push(...compilerWarnings(stderr));
+
+      objFiles.push(objFile);
+      dependencies.push(...parseDependencyFile(depFile, grammarDir));
+      fs.unlinkSync(depFile);
+    } catch (error) {
+      // Clean up any object files
+      for (const obj of [...objFiles, objFile, depFile]) {
+        try { fs.unlinkSync(obj); } catch {}
+      }
+      build.warnings.push(...compilerWarnings(error.stderr || ''));
+      return failure('compile', `compile error in ${path.basename(source)}`, error);
+    }
+  }
+
+  // Optimize the grammar's objects together into a single object
+  if (usesLto(profile, platformConfig)) {
+    const ltoObj = path.join(platformDir, `${name}_lto.o`);
+    try {
+      await runLogged(build, 'compile', 'zig', ['ld.lld', '-r', '-o', ltoObj, ...objFiles]);
+    } catch (error) {
+      for (const obj of objFiles) {
+        try { fs.unlinkSync(obj); } catch {}
+      }
+      return failure('compile', 'LTO link error', error);
+    }
+    for (const obj of objFiles) {
+      fs.unlinkSync(obj);
+    }
+    objFiles.splice(0, objFiles.length, ltoObj);
+  }
+
+  // Create static library using zig ar, with zeroed timestamps, uids and modes
+  const arCmd = ['zig', 'ar', 'rcsD', outputFile].concat(objFiles);
+
+  try {
+    await runLogged(build, 'ar', arCmd[0], arCmd.slice(1));
+
+    // Clean up object files
+    for (const obj of objFiles) {
+      fs.unlinkSync(obj);
+    }
+
+    // Note if this grammar uses C++ (for build.rs metadata)
+    build.isCpp = isCpp;
+    if (isCpp) {
+      fs.writeFileSync(path.join(platformDir, `${name}.cpp`), '');
+    }
+
+    if (compileCache) {
+      try {
+        const inputs = compileInputs(dependencies, grammarDir, srcDir);
+        storeInCompileCache(compileCache, name, cacheKey, outputFile, {
+          version: COMPILE_CACHE_VERSION,
+          name,
+          rev: grammar.rev,
+          profile: profile.name,
+          lto: usesLto(profile, platformConfig),
+          isCpp,
+          inputs,
+        });
+      } catch (error) {
+        console.warn(`  Warning: failed to cache ${name}: ${error.message}`);
+      }
+    }
+
+    build.outputSize = fs.statSync(outputFile).size;
+    return { ...build, success: true, message: `${name} - compiled successfully` };
+  } catch (error) {
+    // Clean up
+    for (const obj of objFiles) {
+      try { fs.unlinkSync(obj); } catch {}
+    }
+    try { fs.unlinkSync(outputFile); } catch {}
+    return failure('ar', 'ar error', error);
+  }
+}
+
+// web-tree-sitter modules are built by the tree-sitter CLI rather than zig, so wasm is not in PLATFORMS
+const WASM_PLATFORM = 'wasm';
+
+// Build a grammar into wasmDir/tree-sitter-<name>.wasm with `tree-sitter build --wasm`
+async function buildWasmGrammar(grammar, cacheDir, wasmDir, cliPaths, abi) {
+  const build = createGrammarBuild(grammar);
+
+  const prepared = await prepareParser(build, grammar, cacheDir, cliPaths, abi);
+  if (prepared.failure) {
+    return prepared.failure;
+  }
+
+  const file = `tree-sitter-${grammar.name}.wasm`;
+  const output = path.join(wasmDir, file);
+  const args = ['build', '--wasm', '--output', output, prepared.genCwd];
+  try {
+    const { stderr } = await runTreeSitter(build, 'compile', grammar, args, prepared.genCwd, cliPaths);
+    build.warnings.push(...compilerWarnings(stderr));
+  } catch (error) {
+    return failBuild(build, 'compile', 'tree-sitter build --wasm failed', error);
+  }
+
+  if (!fs.existsSync(output)) {
+    return failBuild(build, 'compile', `${file} was not created`);
+  }
+
+  build.outputSize = fs.statSync(output).size;
+  return { ...build, success: true, message: `${grammar.name} - built ${file}` };
+}
+
+// Build every grammar for web-tree-sitter into dist/wasm/, with grammars-wasm.json next to it
+async function buildWasmPlatform(grammars, { cacheDir, precompiledDir, jobs, cliPaths, abi, fetchResults, maxFailures, bundled }) {
+  const wasmDir = path.join(precompiledDir, WASM_PLATFORM);
+  fs.rmSync(wasmDir, { recursive: true, force: true });
+  fs.mkdirSync(wasmDir, { recursive: true });
+
+  const logDir = path.join(precompiledDir, 'logs', WASM_PLATFORM);
+  fs.rmSync(logDir, { recursive: true, force: true });
+  fs.mkdirSync(logDir, { recursive: true });
+
+  const started = new Date();
+  console.log(`  Building ${grammars.length} grammars with ${jobs} parallel jobs...`);
+
+  const results = await runInParallel(
+    grammars,
+    async (grammar) => {
+      const result = await buildWasmGrammar(grammar, cacheDir, wasmDir, cliPaths, abi);
+      result.logFile = writeGrammarLog(logDir, WASM_PLATFORM, result);
+      if (!result.success) {
+        result.message += ` (see ${path.relative(process.cwd(), result.logFile)})`;
+      }
+      return result;
+    },
+    jobs,
+    { stopOnFailure: false }
+  );
+
+  const built = results.filter(r => r.success).map(r => r.name);
+  const failed = results.filter(r => !r.success).map(r => r.name);
+
+  generateMetadata(built, grammars, wasmDir, results, 'release', bundled);
+  const metadataFile = path.join(precompiledDir, `grammars-${WASM_PLATFORM}.json`);
+  fs.renameSync(path.join(wasmDir, 'grammars.json'), metadataFile);
+  const failurePolicy = applyFailurePolicy(results, grammars, WASM_PLATFORM, maxFailures);
+
+  const finished = new Date();
+  const reportFile = writeBuildReport(precompiledDir, WASM_PLATFORM, {
+    platform: WASM_PLATFORM,
+    started_at: started.toISOString(),
+    finished_at: finished.toISOString(),
+    duration_ms: finished - started,
+    summary: {
+      total: results.length,
+      compiled: built.length,
+      cached: 0,
+      failed: failed.length,
+      warnings: results.reduce((count, r) => count + r.warnings.length, 0),
+    },
+    abi: { min: abi.range.min, max: abi.range.max, policy: abi.policy },
+    failure_policy: failurePolicy,
+    grammars: results.map(result => grammarReportEntry(result, fetchResults.get(result.name), precompiledDir)),
+  });
+
+  console.log(`\nPlatform ${WASM_PLATFORM} summary:`);
+  console.log(`  Compiled: ${built.length} grammars`);
+  if (failed.length > 0) {
+    console.log(`  Failed: ${failed.length} grammars (${failurePolicy.known_failures.length} known)`);
+    console.log(`    ${failed.join(', ')}`);
+  }
+  console.log(`  Output: ${wasmDir}`);
+  console.log(`  Report: ${reportFile}`);
+  return failurePolicy;
+}
+
+function registrySource(platformName, libFiles) {
+  const sorted = [...libFiles].sort((a, b) => a.name.localeCompare(b.name));
+  return `/* Generated by build-grammars.js for ${platformName}. Do not edit. */
+#include <stddef.h>
+#include <string.h>
+
+#define REGISTRY_EXPORT __attribute__((visibility("default")))
+
+struct TSLanguage;
+
+${sorted.map(lib => `const struct TSLanguage *${lib.languageFunction}(void);\n`).join('')}
+static const struct {
+  const char *name;
+  const struct TSLanguage *(*language)(void);
+} registry[] = {
+${sorted.map(lib => `  { ${JSON.stringify(lib.name)}, ${lib.languageFunction} },\n`).join('')}};
+
+#define REGISTRY_SIZE (sizeof(registry) / sizeof(registry[0]))
+
+REGISTRY_EXPORT size_t tree_sitter_parsers_count(void) {
+  return REGISTRY_SIZE;
+}
+
+REGISTRY_EXPORT const char *tree_sitter_parsers_name(size_t index) {
+  return index < REGISTRY_SIZE ? registry[index].name : NULL;
+}
+
+REGISTRY_EXPORT const struct TSLanguage *tree_sitter_parsers_language(const char *name) {
+  if (name == NULL) return NULL;
+  for (size_t i = 0; i < REGISTRY_SIZE; i++) {
+    if (strcmp(registry[i].name, name) == 0) return registry[i].language();
+  }
+  return NULL;
+}
+`;
+}
+
+// Compile the registry of libFiles in dir and return the object file. Never with LTO,
+// the archive must not contain bitcode.
+async function compileRegistry(libFiles, dir, platformConfig, profile) {
+  const source = path.join(dir, 'tree_sitter_parsers_registry.c');
+  const objFile = path.join(dir, 'tree_sitter_parsers_registry.o');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(source, registrySource(platformConfig.name, libFiles));
+
+  const cmd = compilerCommand(false, profile).concat(compilerFlags({}, false, platformConfig, { ...profile, lto: false }));
+  await runCommand(cmd[0], [...cmd.slice(1), `-ffile-prefix-map=${dir}=.`, source, '-o', objFile]);
+  fs.unlinkSync(source);
+  return objFile;
+}
+
+// Combine grammar archives into one archive that only depends on their contents: members
+// are added in grammar name order, followed by the registry, and archive headers carry no
+// timestamps or owners. timings receives the duration of the extract, registry, ar and strip steps.
+async function combineArchives(libFiles, combinedLib, workDir, platformConfig, profile, timings) {
+  const allObjects = [];
+  let stepStarted = Date.now();
+
+  for (const lib of [...libFiles].sort((a, b) => a.name.localeCompare(b.name))) {
+    // Extract to a directory per grammar to avoid name conflicts
+    const extractDir = path.join(workDir, lib.name);
+    fs.mkdirSync(extractDir, { recursive: true });
+    await runCommand('zig', ['ar', 'x', lib.file], { cwd: extractDir });
+
+    const objects = fs.readdirSync(extractDir)
+      .filter(f => f.endsWith('.o'))
+      .sort()
+      .map(f => path.join(extractDir, f));
+    allObjects.push(...objects);
+  }
+  timings.extract = Date.now() - stepStarted;
+
+  stepStarted = Date.now();
+  allObjects.push(await compileRegistry(libFiles, workDir, platformConfig, profile));
+  timings.registry = Date.now() - stepStarted;
+
+  stepStarted = Date.now();
+  fs.rmSync(combinedLib, { force: true });
+  await runCommand('zig', ['ar', 'rcsD', combinedLib, ...allObjects]);
+  timings.ar = Date.now() - stepStarted;
+
+  // Strip debug symbols, unless the profile is about debugging
+  if (profile.strip) {
+    stepStarted = Date.now();
+    await runCommand(binaryTool('strip', platformConfig), ['--enable-deterministic-archives', '--strip-debug', combinedLib]);
+    timings.strip = Date.now() - stepStarted;
+  }
+}
+
+// Build a platform's combined archive a second time in a scratch directory, bypassing the
+// compile cache, and return its sha256. Used to check that builds are reproducible.
+async function rebuildArchive(grammars, platformConfig, { cacheDir, cliPaths, abi, profile, jobs, symbolCollisions }) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tree-sitter-parsers-'));
+  try {
+    const results = await runInParallel(
+      grammars,
+      grammar => compileGrammar(grammar, cacheDir, workDir, platformConfig, { compileCache: null, cliPaths, abi, profile }),
+      jobs,
+      { stopOnFailure: false }
+    );
+    const failed = results.filter(r => !r.success);
+    if (failed.length > 0) {
+      throw new Error(`Rebuild failed for ${failed.map(r => r.name).join(', ')}`);
+    }
+
+    const libFiles = results.map(r => ({
+      name: r.name,
+      file: path.join(workDir, `libtree-sitter-parsers-${r.name}.a`),
+      languageFunction: r.languageFunction,
+    }));
+    await enforceExportAllowlist(libFiles, platformConfig);
+    const { fatal } = await resolveSymbolCollisions(libFiles, platformConfig, symbolCollisions);
+    if (fatal) {
+      throw new Error('Rebuild ran into symbol collisions');
+    }
 
-  // Compile object files - use grammar name as prefix to avoid conflicts
-  const objFiles = [];
-  
-  for (const source of sources) {
-    // Determine if this specific file is C++
-    const sourceIsCpp = path.extname(source) === '.cc' || path.extname(source) === '.cpp';
+    const combinedLib = path.join(workDir, 'combined.a');
+    await combineArchives(libFiles, combinedLib, path.join(workDir, 'objects'), platformConfig, profile, {});
+    return fileSha256(combinedLib);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
 
-    // Build command for this specific file - always use Zig
-    const cmd = sourceIsCpp ? ['zig', 'c++'] : ['zig', 'cc'];
-    cmd.push(
-      '-target', platformConfig.zig_target,
-      '-O3',
-      '-fno-lto',
-      '-c'
-    );
+// Whether grammars.json lists the grammar as known to fail on a platform
+function isKnownFailure(grammar, platformName) {
+  return (grammar.known_failures || []).some(key => platformKeyMatches(key, platformName));
+}
 
-    // Common flags
-    cmd.push(
-      '-I', srcDir,
-      '-I', grammarDir,
-      '-fPIC',
-      '-fno-exceptions'
-    );
+// Check a platform's grammar failures against --fail-on-error / --max-failures. Known
+// failures never count; maxFailures is null when any number of failures is tolerated.
+function applyFailurePolicy(results, grammars, platformName, maxFailures) {
+  const grammarsByName = new Map(grammars.map(g => [g.name, g]));
+  const known = r => isKnownFailure(grammarsByName.get(r.name), platformName);
+
+  const policy = {
+    max_failures: maxFailures,
+    known_failures: results.filter(r => !r.success && known(r)).map(r => r.name),
+    unexpected_failures: results.filter(r => !r.success && !known(r)).map(r => r.name),
+    // Known failures that built anyway, their known_failures entries can go
+    fixed: results.filter(r => r.success && known(r)).map(r => r.name),
+    violated: false,
+  };
+  policy.violated = maxFailures !== null && policy.unexpected_failures.length > maxFailures;
 
-    cmd.push(
-      '-funroll-loops',
-      '-fomit-frame-pointer',
-      '-ffast-math',
-      '-finline-functions',
-      '-ffunction-sections',
-      '-fdata-sections',
-      '-fvisibility=hidden'
-    );
+  if (policy.fixed.length > 0) {
+    console.warn(`  Note: known failures built successfully on ${platformName}: ${policy.fixed.join(', ')}`);
+  }
+  if (policy.violated) {
+    console.error(`  ERROR: ${policy.unexpected_failures.length} grammar(s) failed, at most ${maxFailures} allowed: ${policy.unexpected_failures.join(', ')}`);
+  }
+  return policy;
+}
 
-    // Add grammar-specific defines to avoid symbol conflicts
-    cmd.push(
-      `-Dstring_new=ts_${name}_string_new`,
-      `-Dscan_comment=ts_${name}_scan_comment`,
-      `-Dserialize=ts_${name}_serialize`,
-      `-Ddeserialize=ts_${name}_deserialize`,
-      `-Dscan=ts_${name}_scan`
-    );
+// Write everything that was run for a grammar to <logDir>/<name>.log
+function writeGrammarLog(logDir, platformName, result) {
+  const lines = [`# ${result.name} @ ${result.rev} (${platformName})`, ''];
+
+  if (result.cached) {
+    lines.push('Restored from compile cache.', '');
+  }
 
-    // Grammar-specific compile flags
-    if (name === 'just') {
-      // just grammar requires assertions to be enabled
-      cmd.push('-UNDEBUG');
+  for (const entry of result.log) {
+    lines.push(`$ ${entry.command}`);
+    lines.push(`[${entry.stage}] exit ${entry.exitCode ?? 'n/a'} after ${entry.durationMs}ms`);
+    if (entry.stdout.trim()) {
+      lines.push('--- stdout ---', entry.stdout.trimEnd());
+    }
+    if (entry.stderr.trim()) {
+      lines.push('--- stderr ---', entry.stderr.trimEnd());
     }
+    lines.push('');
+  }
 
-    if (sourceIsCpp) {
-      cmd.push('-std=c++14');
-    } else {
-      // For C files, use gnu11 to support static_assert and GNU extensions
-      cmd.push('-std=gnu11');
+  if (result.error) {
+    lines.push(`ERROR (${result.error.stage}): ${result.error.message}`);
+  }
+
+  const logFile = path.join(logDir, `${result.name}.log`);
+  fs.writeFileSync(logFile, lines.join('\n') + '\n');
+  return logFile;
+}
+
+// Remove the combined outputs of a platform after a failed build, so that outputs of a
+// previous build are never mistaken for this one
+function removePlatformOutputs(precompiledDir, platformName) {
+  fs.rmSync(path.join(precompiledDir, `libtree-sitter-parsers-all-${platformName}.a`), { force: true });
+  for (const extension of Object.values(SHARED_LIBRARY_EXTENSIONS)) {
+    fs.rmSync(path.join(precompiledDir, `libtree-sitter-parsers-all-${platformName}.${extension}`), { force: true });
+  }
+  fs.rmSync(path.join(precompiledDir, 'modules', platformName), { recursive: true, force: true });
+  fs.rmSync(path.join(precompiledDir, `grammars-${platformName}.json`), { force: true });
+  const consumerFiles = consumerFilePaths(platformName);
+  fs.rmSync(path.join(precompiledDir, path.dirname(consumerFiles.header)), { recursive: true, force: true });
+  fs.rmSync(path.join(precompiledDir, consumerFiles.pkgConfig), { force: true });
+  fs.rmSync(path.join(precompiledDir, consumerFiles.cmakeDir), { recursive: true, force: true });
+  // The per-grammar archives that were not combined
+  fs.rmSync(path.join(precompiledDir, platformName), { recursive: true, force: true });
+
+  // Don't leave empty directories behind when no other platform has outputs in them
+  for (const dir of ['modules', path.dirname(path.dirname(consumerFiles.header)), path.dirname(consumerFiles.cmakeDir)]) {
+    const fullPath = path.join(precompiledDir, dir);
+    if (fs.existsSync(fullPath) && fs.readdirSync(fullPath).length === 0) {
+      fs.rmdirSync(fullPath);
     }
+  }
+}
 
-    const objFile = path.join(platformDir, `${name}_${path.basename(source, path.extname(source))}.o`);
-    const compileCmd = cmd.concat([source, '-o', objFile]);
+// Machine-readable summary of a platform build, written next to the combined archive
+function writeBuildReport(precompiledDir, platformName, report) {
+  const reportFile = path.join(precompiledDir, `build-report-${platformName}.json`);
+  fs.writeFileSync(reportFile, JSON.stringify(report, null, 2) + '\n');
+  return reportFile;
+}
 
-    try {
-      await runCommand(compileCmd[0], compileCmd.slice(1));
+function grammarReportEntry(result, fetchResult, precompiledDir) {
+  return {
+    name: result.name,
+    rev: result.rev,
+    status: !result.success ? 'failed' : result.cached ? 'cached' : 'compiled',
+    language_version: result.languageVersion,
+    timings_ms: {
+      fetch: fetchResult ? fetchResult.durationMs : null,
+      generate: result.timings.generate,
+      compile: result.timings.compile,
+      ar: result.timings.ar,
+    },
+    output_size: result.outputSize,
+    generated: result.generated,
+    dirty_files: fetchResult ? (fetchResult.dirty ?? []) : null,
+    warnings: result.warnings,
+    error: result.error && {
+      stage: result.error.stage,
+      message: result.error.message,
+      command: result.error.command,
+      exit_code: result.error.exitCode,
+      stderr: result.error.stderr,
+    },
+    log: result.logFile ? path.relative(precompiledDir, result.logFile).split(path.sep).join('/') : null,
+  };
+}
 
-      // Rename symbols to avoid conflicts when combining grammars
-      await prefixSymbolsInObject(objFile, name);
+// Query files shipped with every grammar whose repository has them
+const QUERY_KINDS = ['highlights', 'injections', 'locals', 'tags'];
 
-      objFiles.push(objFile);
-    } catch (error) {
-      // Clean up any object files
-      for (const obj of objFiles) {
-        try { fs.unlinkSync(obj); } catch {}
-      }
-      const errorDetails = error.stderr || error.stdout || error.message || 'Unknown error';
-      const fullCommand = compileCmd.join(' ');
-      return { success: false, message: `${name} - compile error:\nCommand: ${fullCommand}\nError: ${errorDetails}` };
+// Copy a grammar's query files at its pinned rev into queriesDir/<name>/. The other queries
+// are looked up next to highlights_scm_path. Returns the copied files by kind, as paths
+// relative to the directory containing queriesDir.
+function collectQueries(grammar, cacheDir, queriesDir) {
+  const targetDir = path.join(queriesDir, grammar.name);
+  fs.rmSync(targetDir, { recursive: true, force: true });
+
+  const grammarDir = grammarCacheDir(cacheDir, grammar);
+  const baseDir = grammar.path ? path.join(grammarDir, grammar.path) : grammarDir;
+  if (!grammar.highlights_scm_path || grammar.highlights_scm_repo || !fs.existsSync(baseDir)) {
+    return {};
+  }
+
+  const highlights = path.join(baseDir, grammar.highlights_scm_path);
+  const queries = {};
+  for (const kind of QUERY_KINDS) {
+    const source = kind === 'highlights' ? highlights : path.join(path.dirname(highlights), `${kind}.scm`);
+    if (!fs.existsSync(source)) {
+      continue;
     }
+    fs.mkdirSync(targetDir, { recursive: true });
+    fs.copyFileSync(source, path.join(targetDir, `${kind}.scm`));
+    queries[kind] = `${path.basename(queriesDir)}/${grammar.name}/${kind}.scm`;
   }
+  return queries;
+}
 
-  // Create static library using zig ar
-  const arCmd = ['zig', 'ar', 'rcs', outputFile].concat(objFiles);
+// Language detection settings of grammars.json, with the tree-sitter.json keys they correspond to
+const DETECTION_KEYS = {
+  file_types: 'file-types',
+  first_line_regex: 'first-line-regex',
+  injection_regex: 'injection-regex',
+  scope: 'scope',
+};
 
-  try {
-    await runCommand(arCmd[0], arCmd.slice(1));
+function isValidDetectionValue(key, value) {
+  if (key === 'file_types') {
+    return Array.isArray(value) && value.every(type => typeof type === 'string' && type !== '');
+  }
+  return typeof value === 'string' && value !== '';
+}
 
-    // Clean up object files
-    for (const obj of objFiles) {
-      fs.unlinkSync(obj);
-    }
+// The grammar's entry in tree-sitter.json, or in the `tree-sitter` section of package.json for
+// grammars that predate tree-sitter.json. Looked up next to the grammar, then at the repository root.
+function treeSitterConfigEntry(grammar, cacheDir) {
+  const grammarDir = grammarCacheDir(cacheDir, grammar);
+  const baseDir = grammar.path ? path.join(grammarDir, grammar.path) : grammarDir;
 
-    // Note if this grammar uses C++ (for build.rs metadata)
-    if (isCpp) {
-      fs.writeFileSync(path.join(platformDir, `${name}.cpp`), '');
+  for (const dir of new Set([baseDir, grammarDir])) {
+    let entries;
+    try {
+      entries = fs.existsSync(path.join(dir, 'tree-sitter.json'))
+        ? JSON.parse(fs.readFileSync(path.join(dir, 'tree-sitter.json'), 'utf8')).grammars
+        : JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'))['tree-sitter'];
+    } catch {
+      // No configuration, or one we can't read
+      continue;
+    }
+    if (!Array.isArray(entries) || entries.length === 0) {
+      continue;
     }
 
-    return { success: true, message: `${name} - compiled successfully` };
-  } catch (error) {
-    // Clean up
-    for (const obj of objFiles) {
-      try { fs.unlinkSync(obj); } catch {}
+    const relative = path.relative(dir, baseDir);
+    return entries.find(entry => path.relative(dir, path.join(dir, entry.path || '.')) === relative)
+      || entries.find(entry => entry.name === (grammar.symbol_name || grammar.name))
+      || (entries.length === 1 ? entries[0] : null);
+  }
+  return null;
+}
+
+// Language detection settings of a grammar: the ones in grammars.json, falling back to
+// what the grammar itself declares. Invalid declared values are left out.
+function languageDetection(grammar, cacheDir) {
+  const entry = treeSitterConfigEntry(grammar, cacheDir) || {};
+  const detection = {};
+  for (const [key, configKey] of Object.entries(DETECTION_KEYS)) {
+    const value = grammar[key] !== undefined ? grammar[key] : entry[configKey];
+    if (isValidDetectionValue(key, value)) {
+      detection[key] = value;
     }
-    try { fs.unlinkSync(outputFile); } catch {}
-    const errorDetails = error.stderr || error.stdout || error.message || 'Unknown error';
-    const fullCommand = arCmd.join(' ');
-    return { success: false, message: `${name} - ar error:\nCommand: ${fullCommand}\nError: ${errorDetails}` };
   }
+  return detection;
 }
 
-function generateMetadata(compiledGrammars, grammarsConfig, platformDir) {
+// Entries also record what the build found out about each grammar: the name of its
+// language function, the ABI version its parser was generated for and the build profile,
+// plus the bundled query files and language detection settings
+function generateMetadata(compiledGrammars, grammarsConfig, platformDir, results, profileName, bundled) {
   const metadataFile = path.join(platformDir, 'grammars.json');
+  const resultsByName = new Map(results.map(result => [result.name, result]));
   // Save full grammar objects for compiled grammars
-  const compiledGrammarObjects = grammarsConfig.filter(g => compiledGrammars.includes(g.name));
+  const compiledGrammarObjects = grammarsConfig
+    .filter(g => compiledGrammars.includes(g.name))
+    .map(g => ({
+      ...g,
+      language_function: resultsByName.get(g.name)?.languageFunction ?? null,
+      language_version: resultsByName.get(g.name)?.languageVersion ?? null,
+      profile: profileName,
+      queries: {},
+      ...bundled.get(g.name),
+    }));
   fs.writeFileSync(
     metadataFile,
     JSON.stringify(compiledGrammarObjects.sort((a, b) => a.name.localeCompare(b.name)), null, 2)
@@ -497,27 +2067,29 @@ function generateMetadata(compiledGrammars, grammarsConfig, platformDir) {
 }
 
 // Parallel processing utilities
-async function runInParallel(items, workerFn, maxWorkers) {
-  const results = [];
-  const queue = [...items];
+// Results are returned in the order of items, regardless of completion order.
+async function runInParallel(items, workerFn, maxWorkers, { stopOnFailure = true } = {}) {
+  const results = new Array(items.length);
   const workers = [];
+  let next = 0;
+  let completed = 0;
 
   for (let i = 0; i < Math.min(maxWorkers, items.length); i++) {
     workers.push(processQueue());
   }
 
   async function processQueue() {
-    while (queue.length > 0) {
-      const item = queue.shift();
-      const result = await workerFn(item);
-      results.push(result);
+    while (next < items.length) {
+      const index = next++;
+      const result = await workerFn(items[index]);
+      results[index] = result;
       
       // Progress reporting
-      const completed = results.length;
+      completed++;
       const total = items.length;
       console.log(`  [${completed}/${total}] ${result.message}`);
       
-      if (!result.success) {
+      if (!result.success && stopOnFailure) {
         throw new Error(result.message);
       }
     }
@@ -527,6 +2099,149 @@ async function runInParallel(items, workerFn, maxWorkers) {
   return results;
 }
 
+// Cache pruning
+function diskUsage(target) {
+  const stat = fs.lstatSync(target);
+  if (!stat.isDirectory()) {
+    return stat.size;
+  }
+  return fs.readdirSync(target).reduce((total, entry) => total + diskUsage(path.join(target, entry)), 0);
+}
+
+function formatBytes(bytes) {
+  const units = ['B', 'KiB', 'MiB', 'GiB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+function listDirs(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir, { withFileTypes: true }).filter(e => e.isDirectory()).map(e => e.name);
+}
+
+// Find grammar checkouts and compile cache entries that the given grammars no longer refer to,
+// and compile cache entries superseded by a newer build of the same grammar and profile
+function findPrunable(grammars, cacheDir, compileCacheDir) {
+  const pinned = new Map(grammars.map(g => [g.name, g.rev]));
+  const prunable = [];
+
+  // grammars/<name>/<rev>
+  for (const name of listDirs(cacheDir)) {
+    const revs = listDirs(path.join(cacheDir, name));
+    const stale = revs.filter(rev => pinned.get(name) !== rev);
+    if (stale.length === revs.length) {
+      prunable.push(path.join(cacheDir, name));
+    } else {
+      prunable.push(...stale.map(rev => path.join(cacheDir, name, rev)));
+    }
+  }
+
+  // cache/compile/<platform>/<name>/<key>.{a,json}
+  for (const platformName of listDirs(compileCacheDir)) {
+    for (const name of listDirs(path.join(compileCacheDir, platformName))) {
+      const grammarCache = path.join(compileCacheDir, platformName, name);
+      if (!pinned.has(name)) {
+        prunable.push(grammarCache);
+        continue;
+      }
+      const pruneEntry = (key) => {
+        prunable.push(path.join(grammarCache, `${key}.json`));
+        if (fs.existsSync(path.join(grammarCache, `${key}.a`))) {
+          prunable.push(path.join(grammarCache, `${key}.a`));
+        }
+      };
+
+      const current = new Map();
+      for (const file of fs.readdirSync(grammarCache).filter(f => f.endsWith('.json'))) {
+        const key = path.basename(file, '.json');
+        let meta = null;
+        try {
+          meta = JSON.parse(fs.readFileSync(path.join(grammarCache, file), 'utf8'));
+        } catch {
+          // Unreadable metadata, the entry is unusable anyway
+        }
+        if (!meta || meta.rev !== pinned.get(name) || meta.version !== COMPILE_CACHE_VERSION) {
+          pruneEntry(key);
+          continue;
+        }
+
+        // Of the entries of a profile, only the last used one can match the current zig version,
+        // flags and sources. Older ones were superseded when one of those changed.
+        const usedAt = fs.statSync(path.join(grammarCache, file)).mtimeMs;
+        const profileKey = `${meta.profile}${meta.lto ? '+lto' : ''}`;
+        const newest = current.get(profileKey);
+        if (!newest) {
+          current.set(profileKey, { key, usedAt });
+        } else if (usedAt > newest.usedAt) {
+          pruneEntry(newest.key);
+          current.set(profileKey, { key, usedAt });
+        } else {
+          pruneEntry(key);
+        }
+      }
+    }
+  }
+
+  return prunable;
+}
+
+// Remove checkouts and cache entries not referenced by grammars.json or superseded, reporting reclaimed space
+function pruneCaches(grammars, cacheDir, compileCacheDir, dryRun) {
+  const prunable = findPrunable(grammars, cacheDir, compileCacheDir);
+  let reclaimed = 0;
+
+  for (const target of prunable) {
+    const size = diskUsage(target);
+    reclaimed += size;
+    console.log(`  ${dryRun ? 'Would remove' : 'Removing'} ${path.relative(process.cwd(), target)} (${formatBytes(size)})`);
+    if (!dryRun) {
+      fs.rmSync(target, { recursive: true, force: true });
+    }
+  }
+
+  const verb = dryRun ? 'Would reclaim' : 'Reclaimed';
+  console.log(`\n${verb} ${formatBytes(reclaimed)} from ${prunable.length} path(s)`);
+}
+
+// Split a comma/whitespace separated list of grammar names
+function parseNameList(value) {
+  return value.split(/[\s,]+/).map(n => n.trim()).filter(Boolean);
+}
+
+// Read grammar names from a file, one or more per line, '#' starts a comment
+function readNameListFile(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`--from-file: ${file} not found`);
+  }
+  const content = fs.readFileSync(file, 'utf8');
+  const names = content.split('\n').flatMap(line => parseNameList(line.replace(/#.*/, '')));
+  // An empty list would otherwise select every grammar
+  if (names.length === 0) {
+    throw new Error(`--from-file: ${file} does not list any grammar`);
+  }
+  return names;
+}
+
+// Apply --only/--from-file and --exclude to the configured grammars, keeping config order
+function selectGrammars(grammars, options) {
+  const known = new Set(grammars.map(g => g.name));
+  const unknown = [...options.only, ...options.exclude].filter(n => !known.has(n));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown grammar(s) in selection: ${[...new Set(unknown)].join(', ')}`);
+  }
+
+  const only = new Set(options.only);
+  const exclude = new Set(options.exclude);
+  return grammars.filter(g => (only.size === 0 || only.has(g.name)) && !exclude.has(g.name));
+}
+
 // Command-line argument parsing
 function parseArgs() {
   const args = process.argv.slice(2);
@@ -535,7 +2250,26 @@ function parseArgs() {
     compileOnly: false,
     platform: null,
     allPlatforms: false,
-    jobs: os.cpus().length
+    jobs: os.cpus().length,
+    useCache: true,
+    compileCacheDir: null,
+    symbolCollisions: 'prefix',
+    abiRange: DEFAULT_ABI_RANGE,
+    abiPolicy: 'fail',
+    profile: 'release',
+    lto: false,
+    verifyReproducible: false,
+    failOnError: false,
+    maxFailures: null,
+    shared: false,
+    modules: false,
+    only: [],
+    exclude: [],
+    mirror: process.env.BREEZE_GRAMMAR_MIRROR || null,
+    offline: !!process.env.BREEZE_OFFLINE,
+    cleanDirty: false,
+    prune: false,
+    dryRun: false
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -556,6 +2290,105 @@ function parseArgs() {
       case '--jobs':
         options.jobs = parseInt(args[++i]);
         break;
+      case '--fail-on-error':
+        options.failOnError = true;
+        break;
+      case '--max-failures': {
+        const value = args[++i];
+        if (!/^\d+$/.test(value || '')) {
+          console.error(`Error: --max-failures must be a non-negative integer`);
+          process.exit(1);
+        }
+        options.maxFailures = parseInt(value, 10);
+        break;
+      }
+      case '--no-cache':
+        options.useCache = false;
+        break;
+      case '--cache-dir':
+        options.compileCacheDir = path.resolve(args[++i]);
+        break;
+      case '--symbol-collisions':
+        options.symbolCollisions = args[++i];
+        if (!['prefix', 'fail'].includes(options.symbolCollisions)) {
+          console.error(`Error: --symbol-collisions must be 'prefix' or 'fail'`);
+          process.exit(1);
+        }
+        break;
+      case '--abi-range':
+        try {
+          options.abiRange = parseAbiRange(args[++i]);
+        } catch (error) {
+          console.error(`Error: ${error.message}`);
+          process.exit(1);
+        }
+        break;
+      case '--abi-policy':
+        options.abiPolicy = args[++i];
+        if (!['fail', 'warn'].includes(options.abiPolicy)) {
+          console.error(`Error: --abi-policy must be 'fail' or 'warn'`);
+          process.exit(1);
+        }
+        break;
+      case '--profile':
+        options.profile = args[++i];
+        if (!PROFILES[options.profile]) {
+          console.error(`Error: --profile must be one of ${Object.keys(PROFILES).join(', ')}`);
+          process.exit(1);
+        }
+        break;
+      case '--lto':
+        options.lto = true;
+        break;
+      case '--verify-reproducible':
+        options.verifyReproducible = true;
+        break;
+      case '--shared':
+        options.shared = true;
+        break;
+      case '--modules':
+        options.modules = true;
+        break;
+      case '--mirror':
+        options.mirror = args[++i];
+        break;
+      case '--offline':
+        options.offline = true;
+        break;
+      case '--clean-dirty':
+        options.cleanDirty = true;
+        break;
+      case '--prune':
+        options.prune = true;
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--only':
+      case '--exclude':
+      case '--from-file': {
+        const flag = args[i];
+        const value = args[++i];
+        if (value === undefined || value.startsWith('--')) {
+          console.error(`Error: ${flag} requires a value, see --help`);
+          process.exit(1);
+        }
+        try {
+          if (flag === '--from-file') {
+            options.only.push(...readNameListFile(value));
+          } else {
+            const names = parseNameList(value);
+            if (names.length === 0) {
+              throw new Error(`${flag} requires at least one grammar name`);
+            }
+            options[flag === '--only' ? 'only' : 'exclude'].push(...names);
+          }
+        } catch (error) {
+          console.error(`Error: ${error.message}`);
+          process.exit(1);
+        }
+        break;
+      }
       case '-h':
       case '--help':
         console.log(`Usage: ${path.basename(process.argv[1])} [options]
@@ -563,9 +2396,42 @@ function parseArgs() {
 Options:
   --fetch-only        Only fetch grammars, do not compile
   --compile-only      Only compile, assume grammars are fetched
-  --platform PLATFORM Target platform (default: current platform)
+  --platform PLATFORM Target platform (default: current platform), or wasm for web-tree-sitter
   --all-platforms     Build for all platforms (requires zig)
   -j, --jobs N        Number of parallel jobs (default: CPU count)
+  --no-cache          Recompile every grammar, ignoring the compile cache
+  --cache-dir DIR     Compile cache location (default: cache/compile)
+  --symbol-collisions MODE
+                      What to do when grammars export the same symbol: prefix (default) or fail
+  --fail-on-error     Exit non-zero if any grammar fails to build, except for the
+                      known_failures of grammars.json
+  --max-failures N    Exit non-zero if more than N grammars fail per platform, not
+                      counting known_failures
+  --profile PROFILE   release (default), size (-Os), debug (-O0 -g) or sanitize (ASan
+                      and UBSan with the host clang). debug and sanitize only build
+                      the host platform, into dist/<profile>/
+  --lto               With --profile size, optimize each grammar's sources together
+                      (Linux targets only)
+  --verify-reproducible
+                      Build each platform a second time without the compile cache
+                      and fail unless the archives are byte-for-byte identical
+  --shared            Also link a shared library (.so, .dylib or .dll) exporting
+                      only the language functions
+  --modules           Also link one loadable module per grammar into
+                      dist/modules/<platform>/, with an index.json
+  --abi-range MIN-MAX Supported parser ABI versions (default: ${DEFAULT_ABI_RANGE.min}-${DEFAULT_ABI_RANGE.max})
+  --abi-policy POLICY What to do with a parser outside the ABI range: fail (default) or warn
+  --mirror DIR        Fetch from a local mirror of bare repositories (or a file:// URL)
+                      laid out as DIR/<host>/<owner>/<repo>.git (env: BREEZE_GRAMMAR_MIRROR)
+  --offline           Never access the network, fail when a grammar is neither cached
+                      nor mirrored (env: BREEZE_OFFLINE)
+  --clean-dirty       Discard local modifications in grammar checkouts while fetching
+  --prune             Remove grammar checkouts and compile cache entries that
+                      grammars.json no longer refers to, then exit
+  --dry-run           With --prune, only report what would be removed
+  --only NAMES        Only build these grammars (comma separated, repeatable)
+  --exclude NAMES     Skip these grammars (comma separated, repeatable)
+  --from-file FILE    Only build the grammars listed in FILE (one per line, # comments)
   -h, --help          Show this help message`);
         process.exit(0);
     }
@@ -581,7 +2447,14 @@ async function main() {
   const projectRoot = __dirname;
   const grammarsJson = path.join(projectRoot, 'grammars.json');
   const cacheDir = path.join(projectRoot, 'grammars');
-  const precompiledDir = path.join(projectRoot, 'dist');
+  // Debug and sanitize builds go to dist/<profile>/ so they never replace published artifacts
+  const profile = { ...PROFILES[options.profile], name: options.profile, lto: options.lto };
+  const precompiledDir = profile.hostOnly
+    ? path.join(projectRoot, 'dist', options.profile)
+    : path.join(projectRoot, 'dist');
+  const compileCacheDir = options.compileCacheDir || path.join(projectRoot, 'cache', 'compile');
+  const toolsDir = path.join(projectRoot, 'cache', 'tree-sitter-cli');
+  const packageVersion = require(path.join(projectRoot, 'package.json')).version;
 
   if (!fs.existsSync(grammarsJson)) {
     console.error(`Error: ${grammarsJson} not found`);
@@ -590,9 +2463,42 @@ async function main() {
 
   // Load grammars configuration
   const config = JSON.parse(fs.readFileSync(grammarsJson, 'utf8'));
-  const grammars = config.grammars;
+  let grammars = config.grammars;
   console.log(`Found ${grammars.length} grammars`);
 
+  const configErrors = grammars.flatMap(validateGrammarConfig);
+  if (configErrors.length > 0) {
+    console.error(`Error: Invalid build settings in ${grammarsJson}:`);
+    for (const error of configErrors) {
+      console.error(`  ${error}`);
+    }
+    process.exit(1);
+  }
+
+  // Pruning always considers every configured grammar, a selection must not delete the rest
+  if (options.prune) {
+    console.log('\n=== Pruning caches ===');
+    pruneCaches(grammars, cacheDir, compileCacheDir, options.dryRun);
+    return;
+  }
+
+  if (options.only.length > 0 || options.exclude.length > 0) {
+    try {
+      grammars = selectGrammars(grammars, options);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+    if (grammars.length === 0) {
+      console.error('Error: Selection matches no grammars');
+      process.exit(1);
+    }
+    console.log(`Selected ${grammars.length} grammars: ${grammars.map(g => g.name).join(', ')}`);
+  }
+
+  // Fetch results by grammar name, used for the build report
+  const fetchResults = new Map();
+
   // Fetch grammars if needed
   if (!options.compileOnly) {
     console.log('\n=== Fetching grammars ===');
@@ -616,11 +2522,29 @@ async function main() {
     console.log(`  Processing ${grammars.length} grammars with ${options.jobs} parallel jobs...`);
 
     try {
-      await runInParallel(grammars, (grammar) => fetchGrammar(grammar, cacheDir), options.jobs);
+      await runInParallel(grammars, async (grammar) => {
+        const started = Date.now();
+        const result = await fetchGrammar(grammar, cacheDir, {
+          mirror: options.mirror,
+          offline: options.offline,
+          cleanDirty: options.cleanDirty,
+        });
+        fetchResults.set(grammar.name, { ...result, durationMs: Date.now() - started });
+        return result;
+      }, options.jobs);
     } catch (error) {
       console.error(error.message);
       process.exit(1);
     }
+
+    const dirtyCheckouts = [...fetchResults].filter(([, result]) => result.dirty?.length > 0);
+    if (dirtyCheckouts.length > 0) {
+      console.warn(`\n  WARNING: ${dirtyCheckouts.length} checkout(s) have local modifications and will be built as they are:`);
+      for (const [name, result] of dirtyCheckouts) {
+        console.warn(`    ${name}: ${result.dirty.join(', ')}`);
+      }
+      console.warn('  Run with --clean-dirty to restore them to their pinned revision.');
+    }
   }
 
   if (options.fetchOnly) {
@@ -628,17 +2552,14 @@ async function main() {
     return;
   }
 
-  // Check that Zig is installed
-  checkZig();
-
   // Determine platforms to build
   let platformsToBuild;
   if (options.allPlatforms) {
     platformsToBuild = Object.keys(PLATFORMS);
   } else if (options.platform) {
-    if (!PLATFORMS[options.platform]) {
+    if (!PLATFORMS[options.platform] && options.platform !== WASM_PLATFORM) {
       console.error(`Error: Unknown platform ${options.platform}`);
-      console.error(`Available platforms: ${Object.keys(PLATFORMS).join(', ')}`);
+      console.error(`Available platforms: ${[...Object.keys(PLATFORMS), WASM_PLATFORM].join(', ')}`);
       process.exit(1);
     }
     platformsToBuild = [options.platform];
@@ -653,107 +2574,265 @@ async function main() {
     }
   }
 
+  if (options.lto && !profile.allowLto) {
+    console.error(`Error: --lto is only supported with --profile ${Object.keys(PROFILES).filter(name => PROFILES[name].allowLto).join(', ')}`);
+    process.exit(1);
+  }
+  if (options.verifyReproducible && platformsToBuild.includes(WASM_PLATFORM)) {
+    console.error('Error: --verify-reproducible is not supported for wasm builds');
+    process.exit(1);
+  }
+  if (options.profile !== 'release' && platformsToBuild.includes(WASM_PLATFORM)) {
+    console.error(`Error: wasm builds do not support the ${options.profile} profile`);
+    process.exit(1);
+  }
+
+  if (profile.hostOnly) {
+    const current = getCurrentPlatform();
+    if (platformsToBuild.length !== 1 || platformsToBuild[0] !== current) {
+      console.error(`Error: The ${options.profile} profile only builds for the host platform (${current})`);
+      process.exit(1);
+    }
+    if (options.profile === 'sanitize' && (options.shared || options.modules)) {
+      console.error('Error: --shared and --modules are not supported with the sanitize profile');
+      process.exit(1);
+    }
+  }
+
+  // Check that Zig is installed, only native platforms are compiled with it. It also
+  // creates the archives when the host compiler is used.
+  const buildsWasm = platformsToBuild.includes(WASM_PLATFORM);
+  const zigVersion = platformsToBuild.some(name => name !== WASM_PLATFORM) ? checkZig() : null;
+  const compilerVersion = profile.compiler === 'host' ? checkHostCompiler() : zigVersion;
+  if (options.profile !== 'release') {
+    const lto = options.lto ? ', LTO for ELF targets' : '';
+    console.log(`Build profile: ${options.profile}${lto} (output in ${path.relative(projectRoot, precompiledDir)})`);
+  }
+
+  // Install the tree-sitter CLIs pinned by grammars that are going to be generated, or built for wasm
+  const cliPaths = new Map();
+  const pinnedVersions = new Set();
+  for (const grammar of grammars) {
+    const grammarDir = grammarCacheDir(cacheDir, grammar);
+    const genCwd = grammar.path ? path.join(grammarDir, grammar.path) : grammarDir;
+    if (grammar.tree_sitter_cli && fs.existsSync(grammarDir)
+      && (buildsWasm || needsGeneration(grammar, path.join(genCwd, 'src')))) {
+      pinnedVersions.add(grammar.tree_sitter_cli);
+    }
+  }
+  if (pinnedVersions.size > 0) {
+    console.log('\n=== Installing pinned tree-sitter CLIs ===');
+    for (const version of [...pinnedVersions].sort()) {
+      try {
+        cliPaths.set(version, await installTreeSitterCli(toolsDir, version, options.offline));
+        console.log(`  tree-sitter-cli ${version}`);
+      } catch (error) {
+        console.error(`Error: ${error.stderr || error.message}`);
+        process.exit(1);
+      }
+    }
+  }
+
+  const abi = { range: options.abiRange, policy: options.abiPolicy };
+  // --fail-on-error is the strictest threshold
+  const maxFailures = options.failOnError ? 0 : options.maxFailures;
+  console.log(`Supported parser ABI: ${abi.range.min}-${abi.range.max} (${abi.policy} when outside)`);
+
+  // Query files and language detection settings are the same for every platform
+  console.log('\n=== Collecting queries and language detection ===');
+  const queriesDir = path.join(precompiledDir, 'queries');
+  // Start empty so the queries match the selection, like the archives and manifests
+  fs.rmSync(queriesDir, { recursive: true, force: true });
+  const bundled = new Map();
+  for (const grammar of grammars) {
+    bundled.set(grammar.name, {
+      ...languageDetection(grammar, cacheDir),
+      queries: collectQueries(grammar, cacheDir, queriesDir),
+    });
+  }
+  const withQueries = [...bundled.values()].filter(info => Object.keys(info.queries).length > 0).length;
+  const withFileTypes = [...bundled.values()].filter(info => info.file_types).length;
+  console.log(`  ${withQueries} of ${grammars.length} grammars have query files`);
+  console.log(`  ${withFileTypes} of ${grammars.length} grammars have file types`);
+  const externalQueries = grammars.filter(g => g.highlights_scm_repo).map(g => g.name);
+  if (externalQueries.length > 0) {
+    console.log(`  Not bundled, queries live in another repository: ${externalQueries.join(', ')}`);
+  }
+
   // Compile for each platform
+  const failedPlatforms = [];
   for (const platformName of platformsToBuild) {
     console.log(`\n=== Building for ${platformName} ===`);
 
+    if (platformName === WASM_PLATFORM) {
+      const failurePolicy = await buildWasmPlatform(grammars, { cacheDir, precompiledDir, jobs: options.jobs, cliPaths, abi, fetchResults, maxFailures, bundled });
+      if (failurePolicy.violated) {
+        failedPlatforms.push(WASM_PLATFORM);
+      }
+      continue;
+    }
+
     const platformDir = path.join(precompiledDir, platformName);
     if (!fs.existsSync(platformDir)) {
       fs.mkdirSync(platformDir, { recursive: true });
     }
 
-    const platformConfig = PLATFORMS[platformName];
+    const platformConfig = PLATFORMS[platformName] && { name: platformName, ...PLATFORMS[platformName] };
     if (!platformConfig) {
       console.error(`Error: No configuration found for platform ${platformName}`);
       process.exit(1);
     }
 
+    const platformStarted = new Date();
     const compiledGrammars = [];
     const failedGrammars = [];
 
+    const logDir = path.join(precompiledDir, 'logs', platformName);
+    fs.rmSync(logDir, { recursive: true, force: true });
+    fs.mkdirSync(logDir, { recursive: true });
+
+    const compileCache = options.useCache
+      ? { dir: path.join(compileCacheDir, platformName), compilerVersion }
+      : null;
+
     console.log(`  Compiling ${grammars.length} grammars with ${options.jobs} parallel jobs...`);
 
     const results = await runInParallel(
       grammars,
-      (grammar) => compileGrammar(grammar, cacheDir, platformDir, platformConfig),
-      options.jobs
+      async (grammar) => {
+        const result = await compileGrammar(grammar, cacheDir, platformDir, platformConfig, { compileCache, cliPaths, abi, profile });
+        result.logFile = writeGrammarLog(logDir, platformName, result);
+        if (!result.success) {
+          result.message += ` (see ${path.relative(process.cwd(), result.logFile)})`;
+        }
+        return result;
+      },
+      options.jobs,
+      { stopOnFailure: false }
     );
 
-    for (let i = 0; i < results.length; i++) {
-      if (results[i].success) {
-        compiledGrammars.push(grammars[i].name);
+    for (const result of results) {
+      if (result.success) {
+        compiledGrammars.push(result.name);
       } else {
-        failedGrammars.push(grammars[i].name);
+        failedGrammars.push(result.name);
       }
     }
 
-    // Generate metadata
-    generateMetadata(compiledGrammars, grammars, platformDir);
+    let archive = null;
+    let sharedLibrary = null;
+    let modules = null;
+    let reproducibility = null;
+    let consumerFiles = [];
+    let symbolCollisions = [];
+    let canCombine = true;
 
-    // Combine all static libraries into a single archive
-    if (compiledGrammars.length > 0) {
-      console.log(`\n  Combining ${compiledGrammars.length} libraries into single archive...`);
+    const failurePolicy = applyFailurePolicy(results, grammars, platformName, maxFailures);
+
+    // Generate metadata
+    generateMetadata(compiledGrammars, grammars, platformDir, results, options.profile, bundled);
+
+    // Collect all library files
+    const libFiles = [];
+    for (const result of results.filter(r => r.success)) {
+      const libFile = path.join(platformDir, `libtree-sitter-parsers-${result.name}.a`);
+      if (fs.existsSync(libFile)) {
+        libFiles.push({ name: result.name, file: libFile, languageFunction: result.languageFunction, isCpp: result.isCpp });
+      }
+    }
 
-      // Collect all library files
-      const libFiles = [];
-      for (const grammarName of compiledGrammars) {
-        const libFile = path.join(platformDir, `libtree-sitter-parsers-${grammarName}.a`);
-        if (fs.existsSync(libFile)) {
-          libFiles.push(libFile);
+    // Only the language functions and their external scanners may be visible outside a grammar
+    const exports = { localized: 0, unexpected: [], missing: [] };
+    if (libFiles.length > 0) {
+      try {
+        exports.localized = await enforceExportAllowlist(libFiles, platformConfig);
+        console.log(`\n  Localized ${exports.localized} symbol(s) outside the export allowlist`);
+
+        // Make sure no two grammars export the same symbol before they end up in one archive
+        const { collisions, fatal } = await resolveSymbolCollisions(libFiles, platformConfig, options.symbolCollisions);
+        symbolCollisions = collisions;
+        if (fatal) {
+          throw new Error(`Not combining archives for ${platformName} because of symbol collisions`);
         }
+      } catch (error) {
+        console.error(`  ERROR: ${error.message}`);
+        failedPlatforms.push(platformName);
+        canCombine = false;
+        removePlatformOutputs(precompiledDir, platformName);
       }
+    }
+
+    // Link every grammar into its own loadable module, before the archives are combined and removed
+    const modulesDir = path.join(precompiledDir, 'modules', platformName);
+    fs.rmSync(modulesDir, { recursive: true, force: true });
+    if (options.modules && canCombine && libFiles.length > 0) {
+      console.log(`\n  Linking ${libFiles.length} loadable modules...`);
+      const started = Date.now();
+      const moduleResults = await buildGrammarModules(
+        libFiles, modulesDir, platformName, platformConfig, options.jobs,
+        new Map(results.map(r => [r.name, r.languageVersion]))
+      );
+      const failedModules = moduleResults.filter(r => !r.success);
+      modules = {
+        dir: path.relative(precompiledDir, modulesDir).split(path.sep).join('/'),
+        count: moduleResults.length - failedModules.length,
+        size: moduleResults.reduce((total, r) => total + (r.size || 0), 0),
+        duration_ms: Date.now() - started,
+        failed: failedModules.map(r => ({ name: r.name, error: r.error })),
+      };
+      // Only the affected grammars are left out of the modules, the archive is still built
+      if (failedModules.length > 0) {
+        console.error(`  ERROR: ${failedModules.length} module(s) failed to link: ${failedModules.map(r => r.name).join(', ')}`);
+        failedPlatforms.push(platformName);
+      }
+    }
+
+    // Combine all static libraries into a single archive
+    if (canCombine && compiledGrammars.length > 0) {
+      console.log(`\n  Combining ${compiledGrammars.length} libraries into single archive...`);
 
       if (libFiles.length > 0) {
         // Create combined library name
         const combinedLib = path.join(precompiledDir, `libtree-sitter-parsers-all-${platformName}.a`);
-
-        // First, extract all object files from all archives
+        archive = {
+          file: path.basename(combinedLib),
+          size: null,
+          sha256: null,
+          grammars: libFiles.length,
+          timings_ms: { extract: 0, registry: 0, ar: 0, strip: 0 },
+          error: null,
+        };
         const tempObjDir = path.join(platformDir, 'temp_objects');
-        if (!fs.existsSync(tempObjDir)) {
-          fs.mkdirSync(tempObjDir, { recursive: true });
-        }
-
-        for (let i = 0; i < libFiles.length; i++) {
-          // Extract to a unique subdirectory to avoid name conflicts
-          const extractDir = path.join(tempObjDir, `lib_${i}`);
-          if (!fs.existsSync(extractDir)) {
-            fs.mkdirSync(extractDir, { recursive: true });
-          }
-
-          // Extract objects using zig ar
-          await runCommand('zig', ['ar', 'x', libFiles[i]], { cwd: extractDir });
-        }
-
-        // Collect all object files
-        const allObjects = [];
-        const dirs = fs.readdirSync(tempObjDir);
-        for (const dir of dirs) {
-          const objDir = path.join(tempObjDir, dir);
-          if (fs.statSync(objDir).isDirectory()) {
-            const objects = fs.readdirSync(objDir)
-              .filter(f => f.endsWith('.o'))
-              .map(f => path.join(objDir, f));
-            allObjects.push(...objects);
-          }
-        }
-
-        // Create the combined archive using zig ar
-        const arCmd = ['zig', 'ar', 'rcs', combinedLib].concat(allObjects);
 
         try {
-          await runCommand(arCmd[0], arCmd.slice(1));
+          await combineArchives(libFiles, combinedLib, tempObjDir, platformConfig, profile, archive.timings_ms);
           console.log(`  Created combined archive: ${path.basename(combinedLib)}`);
-
-          // Strip debug symbols from combined archive
-          console.log(`  Stripping debug symbols...`);
-          await runCommand('strip', ['--strip-debug', combinedLib]);
+          if (profile.strip) {
+            console.log(`  Stripped debug symbols`);
+          }
+          archive.size = fs.statSync(combinedLib).size;
+          archive.sha256 = fileSha256(combinedLib);
+
+          // Fail if anything besides the allowlisted entry points is globally visible
+          const { unexpected, missing } = await verifyArchiveExports(combinedLib, libFiles, platformConfig);
+          exports.unexpected = unexpected;
+          exports.missing = missing;
+          if (unexpected.length > 0 || missing.length > 0) {
+            for (const { member, name } of unexpected) {
+              console.error(`    unexpected export: ${name} (${member})`);
+            }
+            for (const name of missing) {
+              console.error(`    missing export: ${name}`);
+            }
+            throw new Error(`${unexpected.length} unexpected and ${missing.length} missing export(s) in ${path.basename(combinedLib)}`);
+          }
 
           // Clean up temporary files
           fs.rmSync(tempObjDir, { recursive: true, force: true });
 
           // Remove individual library files
           for (const libFile of libFiles) {
-            fs.unlinkSync(libFile);
+            fs.unlinkSync(libFile.file);
           }
 
           // Move metadata file to precompiled directory with platform suffix
@@ -767,21 +2846,148 @@ async function main() {
           fs.rmSync(platformDir, { recursive: true, force: true });
 
         } catch (error) {
-          console.error(`  ERROR: Failed to create combined archive: ${error.stderr}`);
+          console.error(`  ERROR: Failed to create combined archive: ${error.stderr || error.message}`);
+          archive.error = { message: error.message, stderr: error.stderr || null };
           fs.rmSync(tempObjDir, { recursive: true, force: true });
+          removePlatformOutputs(precompiledDir, platformName);
+          failedPlatforms.push(platformName);
+        }
+      }
+    }
+
+    // Build everything again from scratch and check that the archive comes out identical
+    if (options.verifyReproducible && archive && !archive.error) {
+      console.log(`  Verifying reproducibility (second build without the compile cache)...`);
+      reproducibility = { rebuild_sha256: null, reproducible: false, duration_ms: 0, error: null };
+      const started = Date.now();
+      try {
+        reproducibility.rebuild_sha256 = await rebuildArchive(
+          grammars.filter(g => compiledGrammars.includes(g.name)),
+          platformConfig,
+          { cacheDir, cliPaths, abi, profile, jobs: options.jobs, symbolCollisions: options.symbolCollisions }
+        );
+        reproducibility.reproducible = reproducibility.rebuild_sha256 === archive.sha256;
+        if (!reproducibility.reproducible) {
+          throw new Error(`${archive.file} is not reproducible: sha256 ${archive.sha256} vs ${reproducibility.rebuild_sha256}`);
+        }
+        console.log(`  Reproducible: sha256 ${archive.sha256}`);
+      } catch (error) {
+        console.error(`  ERROR: ${error.stderr || error.message}`);
+        reproducibility.error = { message: error.message, stderr: error.stderr || null };
+        removePlatformOutputs(precompiledDir, platformName);
+        failedPlatforms.push(platformName);
+      } finally {
+        reproducibility.duration_ms = Date.now() - started;
+      }
+    }
+
+    // Header, pkg-config and CMake files for C and C++ consumers of the archive
+    if (archive && !archive.error && !reproducibility?.error) {
+      consumerFiles = writeConsumerFiles(
+        precompiledDir, platformName, platformConfig, libFiles,
+        new Map(results.map(r => [r.name, r.languageVersion])), packageVersion
+      );
+      console.log(`  Wrote ${consumerFiles.length} files for C and C++ consumers`);
+    }
+
+    // Link the shared library from the verified archive
+    const sharedFile = path.join(precompiledDir, sharedLibraryName(platformName, platformConfig));
+    fs.rmSync(sharedFile, { force: true });
+    if (options.shared && archive && !archive.error && !reproducibility?.error) {
+      console.log(`  Linking shared library...`);
+      sharedLibrary = { file: path.basename(sharedFile), size: null, duration_ms: 0, exports: null, error: null };
+      const started = Date.now();
+      const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tree-sitter-parsers-'));
+      try {
+        const needsCxx = libFiles.some(lib => lib.isCpp);
+        // The language functions and the registry
+        const symbols = [...libFiles.map(lib => lib.languageFunction), ...REGISTRY_FUNCTIONS];
+        await linkSharedLibrary(path.join(precompiledDir, archive.file), sharedFile, symbols, platformConfig, needsCxx, workDir);
+        sharedLibrary.duration_ms = Date.now() - started;
+        sharedLibrary.size = fs.statSync(sharedFile).size;
+
+        const verification = await verifySharedLibraryExports(sharedFile, symbols, platformConfig);
+        if (verification) {
+          const { unexpected, missing } = verification;
+          sharedLibrary.exports = verification.exported;
+          if (unexpected.length > 0 || missing.length > 0) {
+            for (const name of unexpected) {
+              console.error(`    unexpected export: ${name}`);
+            }
+            for (const name of missing) {
+              console.error(`    missing export: ${name}`);
+            }
+            throw new Error(`${unexpected.length} unexpected and ${missing.length} missing export(s) in ${path.basename(sharedFile)}`);
+          }
         }
+        console.log(`  Created shared library: ${path.basename(sharedFile)}`);
+      } catch (error) {
+        console.error(`  ERROR: Failed to link shared library: ${error.stderr || error.message}`);
+        sharedLibrary.error = { message: error.message, stderr: error.stderr || null };
+        // The archive was verified already, only the shared library is unusable
+        fs.rmSync(sharedFile, { force: true });
+        failedPlatforms.push(platformName);
+      } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
       }
     }
 
+    const platformFinished = new Date();
+    const reportFile = writeBuildReport(precompiledDir, platformName, {
+      platform: platformName,
+      zig_target: platformConfig.zig_target,
+      zig_version: zigVersion,
+      profile: options.profile,
+      lto: usesLto(profile, platformConfig),
+      compiler: compilerVersion,
+      started_at: platformStarted.toISOString(),
+      finished_at: platformFinished.toISOString(),
+      duration_ms: platformFinished - platformStarted,
+      summary: {
+        total: results.length,
+        compiled: compiledGrammars.length,
+        cached: results.filter(r => r.cached).length,
+        failed: failedGrammars.length,
+        warnings: results.reduce((count, r) => count + r.warnings.length, 0),
+      },
+      abi: { min: abi.range.min, max: abi.range.max, policy: abi.policy },
+      failure_policy: failurePolicy,
+      archive,
+      reproducibility,
+      consumer_files: consumerFiles,
+      shared_library: sharedLibrary,
+      modules,
+      exports,
+      symbol_collisions: symbolCollisions,
+      grammars: results.map(result => grammarReportEntry(result, fetchResults.get(result.name), precompiledDir)),
+    });
+
     console.log(`\nPlatform ${platformName} summary:`);
     console.log(`  Compiled: ${compiledGrammars.length} grammars`);
     if (failedGrammars.length > 0) {
-      console.log(`  Failed: ${failedGrammars.length} grammars`);
+      console.log(`  Failed: ${failedGrammars.length} grammars (${failurePolicy.known_failures.length} known)`);
       console.log(`    ${failedGrammars.join(', ')}`);
     }
-    if (compiledGrammars.length > 0) {
+    if (archive && !archive.error && !reproducibility?.error && !failedPlatforms.includes(platformName)) {
       console.log(`  Output: ${precompiledDir}/libtree-sitter-parsers-all-${platformName}.a`);
     }
+    if (sharedLibrary && !sharedLibrary.error) {
+      console.log(`  Shared library: ${sharedFile}`);
+    }
+    if (modules && modules.count > 0) {
+      console.log(`  Modules: ${modulesDir} (${modules.count})`);
+    }
+    console.log(`  Report: ${reportFile}`);
+
+    // The archive is kept, but the build must not pass with grammars missing from it
+    if (failurePolicy.violated && !failedPlatforms.includes(platformName)) {
+      failedPlatforms.push(platformName);
+    }
+  }
+
+  if (failedPlatforms.length > 0) {
+    console.error(`\nBuild failed for: ${failedPlatforms.join(', ')}`);
+    process.exit(1);
   }
 
   console.log('\nBuild complete!');
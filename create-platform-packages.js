@@ -7,48 +7,56 @@ const platforms = [
   { 
     npmName: 'darwin-x64', 
     binaryName: 'libtree-sitter-parsers-all-macos-x86_64.a',
+    sharedName: 'libtree-sitter-parsers-all-macos-x86_64.dylib',
     metadataName: 'grammars-macos-x86_64.json',
     description: 'macOS x64'
   },
   { 
     npmName: 'darwin-arm64', 
     binaryName: 'libtree-sitter-parsers-all-macos-aarch64.a',
+    sharedName: 'libtree-sitter-parsers-all-macos-aarch64.dylib',
     metadataName: 'grammars-macos-aarch64.json',
     description: 'macOS ARM64'
   },
   { 
     npmName: 'linux-x64', 
     binaryName: 'libtree-sitter-parsers-all-linux-x86_64-glibc.a',
+    sharedName: 'libtree-sitter-parsers-all-linux-x86_64-glibc.so',
     metadataName: 'grammars-linux-x86_64-glibc.json',
     description: 'Linux x64 (glibc)'
   },
   { 
     npmName: 'linux-arm64', 
     binaryName: 'libtree-sitter-parsers-all-linux-aarch64-glibc.a',
+    sharedName: 'libtree-sitter-parsers-all-linux-aarch64-glibc.so',
     metadataName: 'grammars-linux-aarch64-glibc.json',
     description: 'Linux ARM64 (glibc)'
   },
   { 
     npmName: 'linux-x64-musl', 
     binaryName: 'libtree-sitter-parsers-all-linux-x86_64-musl.a',
+    sharedName: 'libtree-sitter-parsers-all-linux-x86_64-musl.so',
     metadataName: 'grammars-linux-x86_64-musl.json',
     description: 'Linux x64 (musl)'
   },
   { 
     npmName: 'linux-arm64-musl', 
     binaryName: 'libtree-sitter-parsers-all-linux-aarch64-musl.a',
+    sharedName: 'libtree-sitter-parsers-all-linux-aarch64-musl.so',
     metadataName: 'grammars-linux-aarch64-musl.json',
     description: 'Linux ARM64 (musl)'
   },
   { 
     npmName: 'win32-x64', 
     binaryName: 'libtree-sitter-parsers-all-windows-x86_64.a',
+    sharedName: 'libtree-sitter-parsers-all-windows-x86_64.dll',
     metadataName: 'grammars-windows-x86_64.json',
     description: 'Windows x64'
   },
   { 
     npmName: 'win32-arm64', 
     binaryName: 'libtree-sitter-parsers-all-windows-aarch64.a',
+    sharedName: 'libtree-sitter-parsers-all-windows-aarch64.dll',
     metadataName: 'grammars-windows-aarch64.json',
     description: 'Windows ARM64'
   }
@@ -56,9 +64,26 @@ const platforms = [
 
 const version = require('./package.json').version;
 
+// Query files are the same for every platform, each package ships them next to its metadata
+function copyQueries(packageDir) {
+  const queriesSource = path.join(__dirname, 'dist', 'queries');
+  const queriesDest = path.join(packageDir, 'queries');
+  fs.rmSync(queriesDest, { recursive: true, force: true });
+  
+  if (fs.existsSync(queriesSource)) {
+    fs.cpSync(queriesSource, queriesDest, { recursive: true });
+    console.log(`Copied queries for ${fs.readdirSync(queriesDest).length} grammars`);
+  } else {
+    console.log(`Warning: Queries not found at ${queriesSource}`);
+  }
+}
+
 platforms.forEach(platform => {
   const packageName = `@kumos/tree-sitter-parsers-${platform.npmName}`;
   const packageDir = path.join(__dirname, 'platforms', platform.npmName);
+  // Platform name used by build-grammars.js, e.g. macos-x86_64
+  const buildPlatform = platform.binaryName.replace(/^libtree-sitter-parsers-all-/, '').replace(/\.a$/, '');
+  const pkgConfigName = `tree-sitter-parsers-${buildPlatform}.pc`;
   
   // Create directory
   if (!fs.existsSync(packageDir)) {
@@ -73,7 +98,12 @@ platforms.forEach(platform => {
     main: "index.js",
     files: [
       platform.binaryName,
+      platform.sharedName,
       platform.metadataName,
+      pkgConfigName,
+      "include/",
+      "cmake/",
+      "queries/",
       "index.js"
     ],
     keywords: ["tree-sitter", "parser", "binary", platform.npmName],
@@ -109,7 +139,12 @@ module.exports = __filename;
   // Create .npmignore to ensure binary is included
   const npmignore = `# Include everything
 !${platform.binaryName}
+!${platform.sharedName}
 !${platform.metadataName}
+!${pkgConfigName}
+!include/
+!cmake/
+!queries/
 !index.js
 !package.json
 `;
@@ -121,16 +156,27 @@ module.exports = __filename;
   
   // Copy the actual binaries (not symlinks)
   const binarySource = path.join(__dirname, 'dist', platform.binaryName);
+  const sharedSource = path.join(__dirname, 'dist', platform.sharedName);
   const metadataSource = path.join(__dirname, 'dist', platform.metadataName);
   const binaryDest = path.join(packageDir, platform.binaryName);
+  const sharedDest = path.join(packageDir, platform.sharedName);
   const metadataDest = path.join(packageDir, platform.metadataName);
+  // The header, pkg-config and CMake files keep their layout relative to the archive
+  const consumerFiles = [
+    pkgConfigName,
+    path.join('include', buildPlatform),
+    path.join('cmake', buildPlatform),
+  ];
   
   // Remove existing files if they exist
-  [binaryDest, metadataDest].forEach(dest => {
+  [binaryDest, sharedDest, metadataDest].forEach(dest => {
     if (fs.existsSync(dest)) {
       fs.unlinkSync(dest);
     }
   });
+  fs.rmSync(path.join(packageDir, 'include'), { recursive: true, force: true });
+  fs.rmSync(path.join(packageDir, 'cmake'), { recursive: true, force: true });
+  fs.rmSync(path.join(packageDir, pkgConfigName), { force: true });
   
   // Copy files if source files exist
   if (fs.existsSync(binarySource)) {
@@ -140,6 +186,14 @@ module.exports = __filename;
     console.log(`Warning: Binary not found at ${binarySource}`);
   }
   
+  // The shared library is optional, it is only built with --shared
+  if (fs.existsSync(sharedSource)) {
+    fs.copyFileSync(sharedSource, sharedDest);
+    console.log(`Copied ${platform.sharedName}`);
+  } else {
+    console.log(`Note: Shared library not found at ${sharedSource} (build with --shared to include it)`);
+  }
+  
   if (fs.existsSync(metadataSource)) {
     fs.copyFileSync(metadataSource, metadataDest);
     console.log(`Copied ${platform.metadataName}`);
@@ -147,9 +201,106 @@ module.exports = __filename;
     console.log(`Warning: Metadata not found at ${metadataSource}`);
   }
   
+  for (const file of consumerFiles) {
+    const source = path.join(__dirname, 'dist', file);
+    if (fs.existsSync(source)) {
+      fs.cpSync(source, path.join(packageDir, file), { recursive: true });
+      console.log(`Copied ${file}`);
+    } else {
+      console.log(`Warning: ${file} not found at ${source}`);
+    }
+  }
+  
+  copyQueries(packageDir);
+  
   console.log(`Created package structure for ${packageName}`);
 });
 
+// web-tree-sitter modules are platform independent and go into a package of their own
+function createWasmPackage() {
+  const packageName = '@kumos/tree-sitter-parsers-wasm';
+  const packageDir = path.join(__dirname, 'platforms', 'wasm');
+  const metadataName = 'grammars-wasm.json';
+  
+  fs.mkdirSync(packageDir, { recursive: true });
+  
+  const packageJson = {
+    name: packageName,
+    version: version,
+    description: 'Tree-sitter parsers compiled to WebAssembly for web-tree-sitter',
+    main: "index.js",
+    files: [
+      "wasm/",
+      "queries/",
+      metadataName,
+      "index.js"
+    ],
+    keywords: ["tree-sitter", "parser", "wasm", "web-tree-sitter"],
+    author: "",
+    license: "MIT",
+    repository: {
+      type: "git",
+      url: "https://github.com/casualjim/breeze-tree-sitter-parsers.git",
+      directory: "platforms/wasm"
+    }
+  };
+  
+  fs.writeFileSync(
+    path.join(packageDir, 'package.json'),
+    JSON.stringify(packageJson, null, 2) + '\n'
+  );
+  
+  const indexJs = `const path = require('path');
+
+const wasmDir = path.join(__dirname, 'wasm');
+const metadataPath = path.join(__dirname, '${metadataName}');
+
+module.exports = {
+  wasmDir,
+  metadataPath,
+  
+  // Path of a language's module, for web-tree-sitter's Language.load()
+  wasmPath(name) {
+    return path.join(wasmDir, \`tree-sitter-\${name}.wasm\`);
+  },
+  
+  getGrammars() {
+    return require(metadataPath);
+  }
+};
+`;
+  
+  fs.writeFileSync(path.join(packageDir, 'index.js'), indexJs);
+  
+  // Replace the modules of a previous run
+  const wasmSource = path.join(__dirname, 'dist', 'wasm');
+  const wasmDest = path.join(packageDir, 'wasm');
+  const metadataSource = path.join(__dirname, 'dist', metadataName);
+  const metadataDest = path.join(packageDir, metadataName);
+  fs.rmSync(wasmDest, { recursive: true, force: true });
+  fs.rmSync(metadataDest, { force: true });
+  
+  if (fs.existsSync(wasmSource)) {
+    fs.cpSync(wasmSource, wasmDest, { recursive: true });
+    console.log(`Copied ${fs.readdirSync(wasmDest).length} wasm modules`);
+  } else {
+    console.log(`Warning: wasm modules not found at ${wasmSource} (build with --platform wasm)`);
+  }
+  
+  if (fs.existsSync(metadataSource)) {
+    fs.copyFileSync(metadataSource, metadataDest);
+    console.log(`Copied ${metadataName}`);
+  } else {
+    console.log(`Warning: Metadata not found at ${metadataSource}`);
+  }
+  
+  copyQueries(packageDir);
+  
+  console.log(`Created package structure for ${packageName}`);
+}
+
+createWasmPackage();
+
 console.log('\nAll platform packages created successfully!');
 console.log('\nTo publish:');
 console.log('1. Build all platform binaries using: npm run build:all');
@@ -108,12 +108,124 @@ function getMetadataPath() {
   return path.join(dir, metadataName);
 }
 
+// Shared library next to the static archive, only present when it was built with --shared
+function getSharedLibraryPath(binaryPath) {
+  const extension = os.platform() === 'darwin' ? 'dylib' : os.platform() === 'win32' ? 'dll' : 'so';
+  const sharedLibraryPath = binaryPath.replace(/\.a$/, `.${extension}`);
+  return fs.existsSync(sharedLibraryPath) ? sharedLibraryPath : null;
+}
+
+// Header, pkg-config file and CMake package config for C and C++ consumers, laid out
+// relative to the static archive. Entries are null when the files are not there.
+function getConsumerPaths(binaryPath) {
+  const dir = path.dirname(binaryPath);
+  const platformName = path.basename(binaryPath, '.a').replace('libtree-sitter-parsers-all-', '');
+  const existing = file => (fs.existsSync(file) ? file : null);
+  return {
+    includeDir: existing(path.join(dir, 'include', platformName)),
+    pkgConfigPath: existing(path.join(dir, `tree-sitter-parsers-${platformName}.pc`)),
+    cmakeDir: existing(path.join(dir, 'cmake', platformName)),
+  };
+}
+
 const binaryPath = getBinaryPath();
 const metadataPath = getMetadataPath();
+const sharedLibraryPath = getSharedLibraryPath(binaryPath);
+const { includeDir, pkgConfigPath, cmakeDir } = getConsumerPaths(binaryPath);
+
+// Kinds of query files the build bundles
+const QUERY_KINDS = ['highlights', 'injections', 'locals', 'tags'];
+
+let cachedGrammars = null;
+
+// Metadata entries, loaded once
+function loadGrammars() {
+  if (!cachedGrammars) {
+    cachedGrammars = module.exports.getGrammars();
+  }
+  return cachedGrammars;
+}
+
+// Metadata entry of a language
+function getGrammar(lang) {
+  const grammar = loadGrammars().find(entry => entry.name === lang);
+  if (!grammar) {
+    throw new Error(`Unknown language '${lang}'. Available languages are listed by getGrammars()`);
+  }
+  return grammar;
+}
+
+const regexCache = new Map();
+
+// Compile a regex from a grammar's tree-sitter.json for JavaScript, or null when JavaScript
+// can't handle it. Of Rust's inline flags, only a leading (?i) is translated.
+function toRegExp(pattern) {
+  if (!pattern) {
+    return null;
+  }
+  if (!regexCache.has(pattern)) {
+    const caseInsensitive = pattern.startsWith('(?i)');
+    let regex = null;
+    try {
+      regex = new RegExp(caseInsensitive ? pattern.slice(4) : pattern, caseInsensitive ? 'i' : '');
+    } catch {
+      // Rust regex syntax that JavaScript doesn't support
+    }
+    regexCache.set(pattern, regex);
+  }
+  return regexCache.get(pattern);
+}
+
+// Grammars claiming a file name: exact names first, otherwise the longest matching
+// extension, so that `d.ts` wins over `ts`
+function fileNameCandidates(grammars, filename) {
+  const base = path.basename(filename);
+  const exact = grammars.filter(grammar => (grammar.file_types || []).includes(base));
+  if (exact.length > 0) {
+    return exact;
+  }
+
+  const matchLength = grammar => Math.max(0, ...(grammar.file_types || [])
+    .filter(type => base.endsWith(`.${type}`))
+    .map(type => type.length));
+  const longest = Math.max(0, ...grammars.map(matchLength));
+  return longest > 0 ? grammars.filter(grammar => matchLength(grammar) === longest) : [];
+}
+
+// Interpreter named by a shebang line, e.g. python3 for `#!/usr/bin/env python3`
+function shebangInterpreter(firstLine) {
+  const match = /^#!\s*(\S+)\s*(.*)$/.exec(firstLine);
+  if (!match) {
+    return null;
+  }
+  const program = path.basename(match[1]);
+  if (program !== 'env') {
+    return program;
+  }
+  // Skip env's options and variable assignments
+  return match[2].split(/\s+/).find(arg => arg && !arg.startsWith('-') && !arg.includes('=')) || null;
+}
+
+// Grammar for an injected language name, matched against injection_regex or the grammar name
+function grammarForInjection(grammars, name) {
+  return grammars.find(grammar => toRegExp(grammar.injection_regex)?.test(name))
+    || grammars.find(grammar => grammar.name === name)
+    || null;
+}
+
+function checkQueryKind(kind) {
+  if (!QUERY_KINDS.includes(kind)) {
+    throw new Error(`Unknown query kind '${kind}', expected one of: ${QUERY_KINDS.join(', ')}`);
+  }
+}
 
 module.exports = {
   binaryPath,
   metadataPath,
+  sharedLibraryPath,
+  includeDir,
+  pkgConfigPath,
+  cmakeDir,
   platformPackage: getPlatformPackage(),
   
   // Utility function to get all available grammars
@@ -124,5 +236,74 @@ module.exports = {
       console.error('Failed to load grammars metadata:', error);
       return [];
     }
+  },
+
+  // Kinds of the query files bundled for a language, e.g. ['highlights', 'tags']
+  listQueries(lang) {
+    const queries = getGrammar(lang).queries || {};
+    return QUERY_KINDS.filter(kind => queries[kind]);
+  },
+
+  // Path of a bundled query file, or null when the language has no query of that kind.
+  // Throws when the metadata lists the query but its file was not installed.
+  getQueryPath(lang, kind = 'highlights') {
+    checkQueryKind(kind);
+    const file = (getGrammar(lang).queries || {})[kind];
+    if (!file) {
+      return null;
+    }
+    const queryPath = path.join(path.dirname(metadataPath), file);
+    if (!fs.existsSync(queryPath)) {
+      throw new Error(`The ${kind} query of '${lang}' is not installed (expected ${queryPath}). Reinstall the package to download the query files`);
+    }
+    return queryPath;
+  },
+
+  // Contents of a bundled query file, or null when the language has no query of that kind
+  getQuery(lang, kind = 'highlights') {
+    const queryPath = module.exports.getQueryPath(lang, kind);
+    return queryPath ? fs.readFileSync(queryPath, 'utf8') : null;
+  },
+
+  // Name of the language of a file, or null. The file name is matched against file_types;
+  // the first line of contentPrefix decides between several candidates, or identifies files
+  // without a known name, through first_line_regex or the interpreter of a shebang.
+  detectLanguage(filename, contentPrefix) {
+    const grammars = loadGrammars();
+    const candidates = filename ? fileNameCandidates(grammars, filename) : [];
+    if (candidates.length === 1) {
+      return candidates[0].name;
+    }
+
+    const firstLine = contentPrefix ? String(contentPrefix).split(/\r?\n/, 1)[0] : '';
+    if (firstLine) {
+      const pool = candidates.length > 0 ? candidates : grammars;
+      const byFirstLine = pool.find(grammar => toRegExp(grammar.first_line_regex)?.test(firstLine));
+      if (byFirstLine) {
+        return byFirstLine.name;
+      }
+
+      const interpreter = shebangInterpreter(firstLine);
+      if (interpreter) {
+        // python3.12 is python
+        const byInterpreter = grammarForInjection(pool, interpreter)
+          || grammarForInjection(pool, interpreter.replace(/[\d.]+$/, ''));
+        if (byInterpreter) {
+          return byInterpreter.name;
+        }
+      }
+    }
+
+    return candidates.length > 0 ? candidates[0].name : null;
+  },
+
+  // Name of the language with a TextMate scope such as source.rust, or null
+  languageForScope(scope) {
+    return loadGrammars().find(grammar => grammar.scope === scope)?.name ?? null;
+  },
+
+  // Name of the language for an injection, e.g. a Markdown code fence's info string, or null
+  languageForInjection(name) {
+    return grammarForInjection(loadGrammars(), name)?.name ?? null;
   }
 };
\ No newline at end of file
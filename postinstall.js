@@ -102,6 +102,27 @@ async function checkOptionalDependency() {
   return false;
 }
 
+// The query files are the same for every platform and released as one archive. They are
+// extracted next to the metadata, which refers to them as queries/<name>/<kind>.scm
+async function downloadQueries(releaseUrl, binariesDir) {
+  if (fs.existsSync(path.join(binariesDir, 'queries'))) {
+    return;
+  }
+
+  const archivePath = path.join(binariesDir, 'queries.tar.gz');
+  try {
+    console.log('Downloading queries.tar.gz...');
+    await downloadFile(`${releaseUrl}/queries.tar.gz`, archivePath);
+    require('child_process').execFileSync('tar', ['-xzf', archivePath, '-C', binariesDir], { stdio: 'inherit' });
+  } catch (error) {
+    // The parsers work without them, only getQuery() does not
+    console.warn('Failed to download query files:', error.message);
+    console.warn(`getQuery() and getQueryPath() will fail until ${releaseUrl}/queries.tar.gz is extracted into ${binariesDir}`);
+  } finally {
+    fs.rmSync(archivePath, { force: true });
+  }
+}
+
 async function downloadBinaries() {
   const binaryName = getPlatformBinaryName();
   const metadataName = getMetadataFileName();
@@ -109,17 +130,18 @@ async function downloadBinaries() {
   
   const binaryPath = path.join(binariesDir, binaryName);
   const metadataPath = path.join(binariesDir, metadataName);
+  const releaseUrl = `https://github.com/${REPO_OWNER}/${REPO_NAME}/releases/download/v${VERSION}`;
   
   // Check if already downloaded
   if (fs.existsSync(binaryPath) && fs.existsSync(metadataPath)) {
     console.log('Binaries already downloaded.');
+    await downloadQueries(releaseUrl, binariesDir);
     return;
   }
   
   console.log(`Downloading tree-sitter parsers for your platform...`);
   
   // Construct download URLs
-  const releaseUrl = `https://github.com/${REPO_OWNER}/${REPO_NAME}/releases/download/v${VERSION}`;
   const binaryUrl = `${releaseUrl}/${binaryName}`;
   const metadataUrl = `${releaseUrl}/${metadataName}`;
   
@@ -131,6 +153,8 @@ async function downloadBinaries() {
     console.log(`Downloading ${metadataName}...`);
     await downloadFile(metadataUrl, metadataPath);
     
+    await downloadQueries(releaseUrl, binariesDir);
+    
     console.log('Download complete!');
   } catch (error) {
     console.error('Failed to download binaries:', error.message);
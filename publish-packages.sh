@@ -58,7 +58,7 @@ for platform_dir in platforms/*/; do
         echo "Publishing @kumos/tree-sitter-parsers-$platform..."
         
         # Check if binary exists before publishing
-        binary_files=$(find "$platform_dir" -name "*.a" -type f)
+        binary_files=$(find "$platform_dir" \( -name "*.a" -o -name "*.wasm" \) -type f)
         if [ -n "$binary_files" ]; then
             (cd "$platform_dir" && npm publish --access public) || echo "Failed to publish $platform"
         else
@@ -19,7 +19,13 @@
 //
 // Local schema (expected):
 //   { grammars: [
-//       { name: string, repo: string, rev: string, path?: string, branch?: string, symbol_name?: string }, ...
+//       { name: string, repo: string, rev: string, path?: string, branch?: string, symbol_name?: string,
+//         generate?: boolean, abi_version?: integer, tree_sitter_cli?: string,
+//         cflags?: string[], cxxflags?: string[], defines?: string[], std?: { c?: string, cxx?: string },
+//         platforms?: { [platform]: { cflags?, cxxflags?, defines?, std? } }, known_failures?: string[],
+//         file_types?: string[], first_line_regex?: string, injection_regex?: string, scope?: string,
+//         has_rust_bindings?: boolean, cargo_toml_path?: string,
+//         highlights_scm_path?: string, highlights_scm_repo?: string, highlights_scm_ref?: string }, ...
 //   ]}
 //
 // Usage:
@@ -27,14 +33,26 @@
 //   node scripts/merge-grammars.js --upstream file.json      # use local upstream file
 //   node scripts/merge-grammars.js --local grammars.json     # set local file (default: grammars.json)
 //   node scripts/merge-grammars.js --write                   # write the merged result back to --local in-place
+//   node scripts/merge-grammars.js --detection               # import language detection settings for every grammar
+//   node scripts/merge-grammars.js --no-detection            # don't import language detection settings
+//   node scripts/merge-grammars.js --detection-only --write  # only import language detection settings, without merging upstream
+//   node scripts/merge-grammars.js --check                   # only check that --local is accepted and survives a merge unchanged
 //
 // Notes:
 // - For entries present in both upstream and local, we update repo and rev.
 // - We set path from upstream.directory when provided; otherwise we keep existing path.
 // - We set branch from upstream.branch when provided; otherwise we keep existing branch.
+// - We set generate and abi_version from upstream when provided; otherwise we keep the existing values.
+// - rewrite_targets is accepted but not carried over, the build has no use for it.
 // - We do not delete local-only grammars; we add upstream-only grammars.
+// - Keys of local entries keep their order, so that a merge only changes what it updates.
+// - For new grammars and grammars whose rev changed, language detection settings (file_types, first_line_regex,
+//   injection_regex, scope) are imported from the grammar's tree-sitter.json (or the `tree-sitter` section of its
+//   package.json). They are read from the checkout in grammars/<name>/<rev> when there is one, otherwise from GitHub.
+//   Values already in the local file are never replaced, delete a key to import it again.
 
 const fs = require('fs');
+const path = require('path');
 
 const DEFAULT_URL = 'https://raw.githubusercontent.com/Goldziher/tree-sitter-language-pack/main/sources/language_definitions.json';
 
@@ -44,6 +62,10 @@ function parseArgs(argv) {
     upstream: '',
     local: 'grammars.json',
     write: false,
+    detection: 'changed',
+    detectionOnly: false,
+    grammarsDir: 'grammars',
+    check: false,
   };
   for (let i = 2; i < argv.length; i++) {
     const a = argv[i];
@@ -51,13 +73,18 @@ function parseArgs(argv) {
     if (a === '--upstream' && argv[i + 1]) { args.upstream = argv[++i]; continue; }
     if (a === '--local' && argv[i + 1]) { args.local = argv[++i]; continue; }
     if (a === '--write') { args.write = true; continue; }
+    if (a === '--detection') { args.detection = 'all'; continue; }
+    if (a === '--no-detection') { args.detection = 'none'; continue; }
+    if (a === '--detection-only') { args.detection = 'all'; args.detectionOnly = true; continue; }
+    if (a === '--grammars-dir' && argv[i + 1]) { args.grammarsDir = argv[++i]; continue; }
+    if (a === '--check') { args.check = true; continue; }
     if (a === '-h' || a === '--help') { printHelpAndExit(0); }
   }
   return args;
 }
 
 function printHelpAndExit(code) {
-  console.log(`Merge upstream language definitions into local grammars.json (STRICT)\n\nUsage:\n  node scripts/merge-grammars.js [--url URL | --upstream FILE] [--local FILE] [--write]\n`);
+  console.log(`Merge upstream language definitions into local grammars.json (STRICT)\n\nUsage:\n  node scripts/merge-grammars.js [--url URL | --upstream FILE] [--local FILE] [--write] [--detection | --no-detection] [--grammars-dir DIR]\n  node scripts/merge-grammars.js --detection-only [--local FILE] [--write] [--grammars-dir DIR]\n  node scripts/merge-grammars.js --check [--local FILE]\n`);
   process.exit(code);
 }
 
@@ -87,12 +114,23 @@ function parseUpstreamStrict(txt) {
       const entry = { name, repo: def.repo, rev: def.rev };
       if (def.directory) entry.path = def.directory;
       if (def.branch) entry.branch = def.branch;
+      if (def.generate !== undefined) entry.generate = def.generate;
+      if (def.abi_version !== undefined) entry.abi_version = def.abi_version;
       out.push(entry);
     }
   }
   return out;
 }
 
+// Build settings applied by build-grammars.js; they are local-only and kept as-is
+const BUILD_SETTING_KEYS = ['cflags', 'cxxflags', 'defines', 'std', 'platforms'];
+
+// Language detection overrides, local-only as well
+const DETECTION_KEYS = ['file_types', 'first_line_regex', 'injection_regex', 'scope'];
+
+// Rust binding and query annotations, maintained by check-rust-bindings.js and grammars-annotate-highlights.js
+const ANNOTATION_KEYS = ['has_rust_bindings', 'cargo_toml_path', 'highlights_scm_path', 'highlights_scm_repo', 'highlights_scm_ref'];
+
 function loadLocalStrict(localPath) {
   const txt = fs.readFileSync(localPath, 'utf8');
   let obj;
@@ -101,17 +139,30 @@ function loadLocalStrict(localPath) {
   const list = obj.grammars;
   if (!Array.isArray(list)) throw new Error(`Local file missing required 'grammars' array`);
 
-  const allowed = new Set(['name', 'repo', 'rev', 'path', 'branch', 'symbol_name']);
+  const allowed = new Set(['name', 'repo', 'rev', 'path', 'branch', 'symbol_name', 'generate', 'abi_version', 'tree_sitter_cli', 'known_failures', ...DETECTION_KEYS, ...BUILD_SETTING_KEYS, ...ANNOTATION_KEYS]);
   const out = [];
   for (const g of list) {
     if (g === null || Array.isArray(g) || typeof g !== 'object') throw new Error('Local grammars must be objects');
     for (const k of Object.keys(g)) if (!allowed.has(k)) throw new Error(`Local grammar '${g.name ?? '<unknown>'}' has unknown key: ${k}`);
     if (typeof g.name !== 'string' || !g.name) throw new Error('Local grammar missing required string name');
     if (typeof g.repo !== 'string' || !g.repo.startsWith('https://')) throw new Error(`Local.${g.name}.repo must be a full https URL`);
-    if (typeof g.rev !== 'string' || g.rev.length < 7) throw new Error(`Local.${g.name}.rev must be a git commit SHA`);
+    if (typeof g.rev !== 'string' || g.rev.trim() === '') throw new Error(`Local.${g.name}.rev must be a git commit SHA or tag`);
     if (g.path !== undefined && typeof g.path !== 'string') throw new Error(`Local.${g.name}.path must be a string when present`);
     if (g.branch !== undefined && typeof g.branch !== 'string') throw new Error(`Local.${g.name}.branch must be a string when present`);
     if (g.symbol_name !== undefined && typeof g.symbol_name !== 'string') throw new Error(`Local.${g.name}.symbol_name must be a string when present`);
+    if (g.generate !== undefined && typeof g.generate !== 'boolean') throw new Error(`Local.${g.name}.generate must be a boolean when present`);
+    if (g.abi_version !== undefined && !Number.isInteger(g.abi_version)) throw new Error(`Local.${g.name}.abi_version must be an integer when present`);
+    if (g.tree_sitter_cli !== undefined && typeof g.tree_sitter_cli !== 'string') throw new Error(`Local.${g.name}.tree_sitter_cli must be a string when present`);
+    if (g.known_failures !== undefined && (!Array.isArray(g.known_failures) || !g.known_failures.every(v => typeof v === 'string'))) throw new Error(`Local.${g.name}.known_failures must be an array of strings when present`);
+    if (g.has_rust_bindings !== undefined && typeof g.has_rust_bindings !== 'boolean') throw new Error(`Local.${g.name}.has_rust_bindings must be a boolean when present`);
+    for (const k of ['first_line_regex', 'injection_regex', 'scope', 'cargo_toml_path', 'highlights_scm_path', 'highlights_scm_repo', 'highlights_scm_ref']) {
+      if (g[k] !== undefined && typeof g[k] !== 'string') throw new Error(`Local.${g.name}.${k} must be a string when present`);
+    }
+    for (const k of ['cflags', 'cxxflags', 'defines', 'file_types']) {
+      if (g[k] !== undefined && (!Array.isArray(g[k]) || !g[k].every(v => typeof v === 'string'))) throw new Error(`Local.${g.name}.${k} must be an array of strings when present`);
+    }
+    if (g.std !== undefined && (g.std === null || Array.isArray(g.std) || typeof g.std !== 'object')) throw new Error(`Local.${g.name}.std must be an object when present`);
+    if (g.platforms !== undefined && (g.platforms === null || Array.isArray(g.platforms) || typeof g.platforms !== 'object')) throw new Error(`Local.${g.name}.platforms must be an object when present`);
 
     out.push({ ...g });
   }
@@ -124,11 +175,21 @@ function toMapByName(list) {
   return m;
 }
 
+function keepValue(k, v) {
+  if (k === 'name' || k === 'repo' || k === 'rev') return true;
+  if (k === 'path' || k === 'branch') return typeof v === 'string' && v.trim() !== '';
+  if (k === 'generate' || k === 'has_rust_bindings') return typeof v === 'boolean';
+  if (k === 'abi_version') return Number.isInteger(v);
+  if (k === 'known_failures') return Array.isArray(v);
+  if (BUILD_SETTING_KEYS.includes(k) || DETECTION_KEYS.includes(k)) return v !== undefined;
+  // symbol_name, tree_sitter_cli, cargo_toml_path and highlights_scm_*
+  return typeof v === 'string' && v !== '';
+}
+
+// Drop empty values, keeping the order of the remaining keys
 function cleanEntry(e) {
-  const o = { name: e.name, repo: e.repo, rev: e.rev };
-  if (typeof e.symbol_name === 'string' && e.symbol_name.length > 0) o.symbol_name = e.symbol_name;
-  if (typeof e.path === 'string' && e.path.trim() !== '') o.path = e.path;
-  if (typeof e.branch === 'string' && e.branch.trim() !== '') o.branch = e.branch;
+  const o = {};
+  for (const [k, v] of Object.entries(e)) if (keepValue(k, v)) o[k] = v;
   return o;
 }
 
@@ -138,18 +199,102 @@ async function fetchText(url) {
   return await res.text();
 }
 
+// Keys of the language detection settings in tree-sitter.json
+const DETECTION_CONFIG_KEYS = {
+  file_types: 'file-types',
+  first_line_regex: 'first-line-regex',
+  injection_regex: 'injection-regex',
+  scope: 'scope',
+};
+
+// Read a file of a grammar's repository at its rev: from the checkout when there is one, otherwise
+// from GitHub. Returns null when the file doesn't exist, or can't be fetched for this host.
+async function readRepoFile(grammarsDir, entry, file) {
+  const checkout = path.join(grammarsDir, entry.name, entry.rev);
+  if (fs.existsSync(checkout)) {
+    const p = path.join(checkout, file);
+    return fs.existsSync(p) ? fs.readFileSync(p, 'utf8') : null;
+  }
+
+  const m = /^https:\/\/github\.com\/([^/]+)\/([^/]+?)(?:\.git)?\/?$/.exec(entry.repo);
+  if (!m) return null;
+  const url = `https://raw.githubusercontent.com/${m[1]}/${m[2]}/${entry.rev}/${file}`;
+  const res = await fetch(url, { redirect: 'follow' });
+  if (res.status === 404) return null;
+  if (!res.ok) throw new Error(`Failed to fetch ${url}: ${res.status} ${res.statusText}`);
+  return await res.text();
+}
+
+// The grammar's entry in tree-sitter.json, or in the `tree-sitter` section of package.json for grammars
+// that predate tree-sitter.json. Looked up next to the grammar, then at the repository root; same as build-grammars.js.
+async function treeSitterConfigEntry(grammarsDir, entry) {
+  const grammarPath = entry.path ? path.posix.normalize(entry.path) : '.';
+  for (const dir of new Set([grammarPath, '.'])) {
+    let entries;
+    const config = await readRepoFile(grammarsDir, entry, path.posix.join(dir, 'tree-sitter.json'));
+    const pkg = config === null ? await readRepoFile(grammarsDir, entry, path.posix.join(dir, 'package.json')) : null;
+    try {
+      entries = config !== null ? JSON.parse(config).grammars : pkg !== null ? JSON.parse(pkg)['tree-sitter'] : null;
+    } catch {
+      // A configuration we can't read
+      continue;
+    }
+    if (!Array.isArray(entries) || entries.length === 0) continue;
+
+    const relative = path.posix.relative(dir, grammarPath) || '.';
+    return entries.find(e => path.posix.normalize(e.path || '.') === relative)
+      || entries.find(e => e.name === (entry.symbol_name || entry.name))
+      || (entries.length === 1 ? entries[0] : null);
+  }
+  return null;
+}
+
+// Copy the detection settings a grammar declares into entry, for the keys it doesn't set yet.
+// Returns whether anything was added.
+async function importDetection(grammarsDir, entry) {
+  const declared = await treeSitterConfigEntry(grammarsDir, entry);
+  if (!declared) return false;
+
+  let changed = false;
+  for (const [k, configKey] of Object.entries(DETECTION_CONFIG_KEYS)) {
+    if (entry[k] !== undefined) continue;
+    const v = declared[configKey];
+    const valid = k === 'file_types'
+      ? Array.isArray(v) && v.length > 0 && v.every(t => typeof t === 'string' && t !== '')
+      : typeof v === 'string' && v !== '';
+    if (valid) { entry[k] = v; changed = true; }
+  }
+  return changed;
+}
+
 (function main(){
   (async () => {
     const args = parseArgs(process.argv);
 
-    const upstreamTxt = args.upstream ? fs.readFileSync(args.upstream, 'utf8') : await fetchText(args.url);
-    const upstream = parseUpstreamStrict(upstreamTxt);
+    // The local file has to load, and keep every entry and key when nothing is merged into it.
+    // Entries are compared by name, a merge writes them sorted.
+    if (args.check) {
+      const byName = (a, b) => a.name.localeCompare(b.name);
+      const original = JSON.stringify(JSON.parse(fs.readFileSync(args.local, 'utf8')).grammars.sort(byName));
+      const cleaned = JSON.stringify(loadLocalStrict(args.local).map(cleanEntry).sort(byName));
+      if (cleaned !== original) throw new Error(`${args.local} would be changed by a merge, run the script with --write and review the result`);
+      console.log(`${args.local} OK`);
+      return;
+    }
+
+    // Revs aligned by other means (e.g. grammars-align-nvim-treesitter.lua) only get their detection settings this way
+    let upstream = [];
+    if (!args.detectionOnly) {
+      const upstreamTxt = args.upstream ? fs.readFileSync(args.upstream, 'utf8') : await fetchText(args.url);
+      upstream = parseUpstreamStrict(upstreamTxt);
+    }
     const local = loadLocalStrict(args.local);
 
     const uMap = toMapByName(upstream);
     const lMap = toMapByName(local);
 
-    let updated = 0, inserted = 0, unchanged = 0;
+    let updated = 0, inserted = 0, unchanged = 0, detected = 0;
+    const revChanged = new Set();
 
     // Update existing entries
     for (const [name, l] of lMap) {
@@ -158,9 +303,11 @@ async function fetchText(url) {
       let changed = false;
 
       if (l.repo !== u.repo) { l.repo = u.repo; changed = true; }
-      if (l.rev !== u.rev) { l.rev = u.rev; changed = true; }
+      if (l.rev !== u.rev) { l.rev = u.rev; changed = true; revChanged.add(name); }
       if (typeof u.path === 'string' && u.path !== '' && l.path !== u.path) { l.path = u.path; changed = true; }
       if (u.branch !== undefined && l.branch !== u.branch) { l.branch = u.branch; changed = true; }
+      if (u.generate !== undefined && l.generate !== u.generate) { l.generate = u.generate; changed = true; }
+      if (u.abi_version !== undefined && l.abi_version !== u.abi_version) { l.abi_version = u.abi_version; changed = true; }
 
       if (changed) updated++; else unchanged++;
     }
@@ -171,10 +318,26 @@ async function fetchText(url) {
       const entry = { name, repo: u.repo, rev: u.rev };
       if (u.path) entry.path = u.path;
       if (u.branch) entry.branch = u.branch;
+      if (u.generate !== undefined) entry.generate = u.generate;
+      if (u.abi_version !== undefined) entry.abi_version = u.abi_version;
       lMap.set(name, entry);
+      revChanged.add(name);
       inserted++;
     }
 
+    // Import language detection settings, so that they can be reviewed and overridden in the local file
+    if (args.detection !== 'none') {
+      for (const [name, entry] of lMap) {
+        if (args.detection === 'changed' && !revChanged.has(name)) continue;
+        if (DETECTION_KEYS.every(k => entry[k] !== undefined)) continue;
+        try {
+          if (await importDetection(args.grammarsDir, entry)) detected++;
+        } catch (e) {
+          throw new Error(`Failed to import language detection settings for ${name}: ${e.message}`);
+        }
+      }
+    }
+
     // Build merged list sorted by name
     const merged = Array.from(lMap.values())
       .sort((a,b)=> a.name.localeCompare(b.name))
@@ -184,10 +347,10 @@ async function fetchText(url) {
     if (args.write) {
       const json = JSON.stringify(mergedObj, null, 2) + '\n';
       fs.writeFileSync(args.local, json, 'utf8');
-      console.log(`Updated ${args.local}. updated=${updated} inserted=${inserted} unchanged=${unchanged}`);
+      console.log(`Updated ${args.local}. updated=${updated} inserted=${inserted} unchanged=${unchanged} detection=${detected}`);
     } else {
       process.stdout.write(JSON.stringify(mergedObj, null, 2) + '\n');
-      console.error(`Summary: updated=${updated} inserted=${inserted} unchanged=${unchanged}`);
+      console.error(`Summary: updated=${updated} inserted=${inserted} unchanged=${unchanged} detection=${detected}`);
     }
   })().catch(err => { console.error(`ERROR: ${err.message}`); process.exit(1); });
 })();
@@ -52,9 +52,30 @@ function getCurrentPlatform() {
   return `${platformName}-${arch}`;
 }
 
+// Build profiles of build-grammars.js; debug and sanitize builds live in dist/<profile>/,
+// release and size builds in dist/
+const PROFILES = ['release', 'size', 'debug', 'sanitize'];
+
+function profileDistDir(profile) {
+  return ['release', 'size'].includes(profile) ? path.join(__dirname, 'dist') : path.join(__dirname, 'dist', profile);
+}
+
+// Environment for cargo. The validation build script picks the library up from
+// BREEZE_VALIDATION_DIST. Sanitized libraries need the sanitizer runtimes, which are linked
+// by the compiler that instrumented them.
+function validationEnv(profile) {
+  const env = { ...process.env, BREEZE_VALIDATION_DIST: profileDistDir(profile) };
+  if (profile === 'sanitize') {
+    env.BREEZE_VALIDATION_SANITIZE = '1';
+    env.RUSTFLAGS = [process.env.RUSTFLAGS, `-C linker=${process.env.CC || 'clang'}`].filter(Boolean).join(' ');
+    env.ASAN_OPTIONS = process.env.ASAN_OPTIONS || 'abort_on_error=1';
+    env.UBSAN_OPTIONS = process.env.UBSAN_OPTIONS || 'print_stacktrace=1:halt_on_error=1';
+  }
+  return env;
+}
+
 // Check if a library file exists for the platform
-function checkLibraryExists(platform) {
-  const distDir = path.join(__dirname, 'dist');
+function checkLibraryExists(platform, distDir = path.join(__dirname, 'dist')) {
   const expectedLib = `libtree-sitter-parsers-all-${platform}.a`;
   const libPath = path.join(distDir, expectedLib);
   
@@ -62,21 +83,30 @@ function checkLibraryExists(platform) {
 }
 
 // Run cargo build/test in the validation directory
-async function runValidation() {
+async function runValidation(profile = 'release') {
   console.log('🔍 Running tree-sitter parsers validation...\n');
   
   const platform = getCurrentPlatform();
   console.log(`Detected platform: ${platform}`);
+  if (profile !== 'release') {
+    console.log(`Build profile: ${profile}`);
+  }
   
   // Check if library exists
-  if (!checkLibraryExists(platform)) {
+  const distDir = profileDistDir(profile);
+  if (!checkLibraryExists(platform, distDir)) {
     console.error(`❌ Library for platform ${platform} not found!`);
-    console.error(`Expected: dist/libtree-sitter-parsers-all-${platform}.a`);
-    console.error(`Run 'npm run build' or 'npm run build:all' first.`);
+    console.error(`Expected: ${path.relative(__dirname, distDir)}/libtree-sitter-parsers-all-${platform}.a`);
+    if (profile === 'release') {
+      console.error(`Run 'npm run build' or 'npm run build:all' first.`);
+    } else {
+      console.error(`Run 'node build-grammars.js --profile ${profile}' first.`);
+    }
     process.exit(1);
   }
   
   console.log(`✅ Found library for ${platform}`);
+  const env = validationEnv(profile);
   console.log('📦 Building validation project...\n');
   
   const validationDir = path.join(__dirname, 'validation');
@@ -85,6 +115,7 @@ async function runValidation() {
     // First, build the validation project
     const buildProcess = spawn('cargo', ['build', '--release'], {
       cwd: validationDir,
+      env,
       stdio: 'pipe'
     });
     
@@ -119,6 +150,7 @@ async function runValidation() {
       // Now run the validation
       const runProcess = spawn('cargo', ['run', '--release'], {
         cwd: validationDir,
+        env,
         stdio: 'pipe'
       });
       
@@ -153,7 +185,15 @@ async function runValidation() {
 
 // Main execution
 if (require.main === module) {
-  runValidation().catch(error => {
+  const args = process.argv.slice(2);
+  const profileIndex = args.indexOf('--profile');
+  const profile = profileIndex === -1 ? 'release' : args[profileIndex + 1];
+  if (!PROFILES.includes(profile)) {
+    console.error(`Unknown profile: ${profile} (expected one of ${PROFILES.join(', ')})`);
+    process.exit(1);
+  }
+
+  runValidation(profile).catch(error => {
     console.error('\n💥 Validation failed:', error.message);
     process.exit(1);
   });
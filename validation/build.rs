@@ -18,9 +18,15 @@ fn get_validation_library_path() -> Result<PathBuf, String> {
 
     eprintln!("Validation: Building for target: {}", target);
 
-    // Find the dist directory with our built libraries
-    let current_dir = env::current_dir().map_err(|e| format!("Failed to get current dir: {}", e))?;
-    let dist_dir = current_dir.parent().unwrap().join("dist");
+    // Find the dist directory with our built libraries, validate.js points it at the
+    // build profile being validated
+    let dist_dir = match env::var("BREEZE_VALIDATION_DIST") {
+        Ok(dir) => PathBuf::from(dir),
+        Err(_) => {
+            let current_dir = env::current_dir().map_err(|e| format!("Failed to get current dir: {}", e))?;
+            current_dir.parent().unwrap().join("dist")
+        }
+    };
     
     if !dist_dir.exists() {
         return Err("dist directory not found. Run `npm run build` first.".to_string());
@@ -68,6 +74,8 @@ fn get_metadata_path(lib_path: &Path) -> PathBuf {
 
 fn main() {
     println!("cargo:rerun-if-changed=build.rs");
+    println!("cargo:rerun-if-env-changed=BREEZE_VALIDATION_DIST");
+    println!("cargo:rerun-if-env-changed=BREEZE_VALIDATION_SANITIZE");
 
     let out_dir = env::var("OUT_DIR").unwrap();
     let out_path = Path::new(&out_dir);
@@ -98,6 +106,11 @@ fn main() {
         println!("cargo:rustc-link-lib=stdc++");
     }
 
+    // Sanitized libraries reference the ASan and UBSan runtimes, which the linker driver adds
+    if env::var_os("BREEZE_VALIDATION_SANITIZE").is_some() {
+        println!("cargo:rustc-link-arg-bins=-fsanitize=address,undefined");
+    }
+
     // Load metadata and generate bindings
     let metadata_path = get_metadata_path(&lib_path);
     if metadata_path.exists() {